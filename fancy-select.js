@@ -5,16 +5,159 @@
  * @param {string} name Element name
  * @param {array} options Option values (no spaces)
  * @param {array} texts Option texts displayed to the user
- * @param {number} selectedIndex Index of the currently selected item
+ * @param {number|Array} selectedIndex Index of the currently selected item. An array of indices in multiple mode.
  * @param {boolean} openState Is this element expanded or not
+ * @param {Object} settings Per-instance options. See FancySelect.defaults.
+ * @param {Array} [groups] Option groups, each with a label, a disabled state and the indices of its options
+ * @param {Array} [disabledOptions] Disabled state of each option
+ * @param {Array} [meta] Metadata of each option: icon, description, swatch and avatar
  */
-function FancySelect(name, options, texts, selectedIndex, openState) {
+function FancySelect(name, options, texts, selectedIndex, openState, settings, groups, disabledOptions, meta) {
+  settings = Object.assign({}, FancySelect.defaults, settings);
+
+  // Queries to a data source, and new options, are typed into the search input
+  if (typeof settings.source === 'function' || settings.creatable) {
+    settings.search = true;
+  }
+
+  if (settings.theme && !themes[settings.theme]) {
+    throw new Error(`Unknown theme "${settings.theme}".`);
+  }
+
+  // Language tag of the texts and sorting. Malformed tags, e.g. lang="en_US", would make Intl throw.
+  const locale = resolveLocale(settings.locale);
+
+  // Unique id, so that elements with the same name, e.g. in repeated rows, or without one are told apart
+  instanceCount += 1;
+  const id = 'fs-' + instanceCount;
+
+  // The DOM element of this object, once FancySelect.attach has created it
+  const getElements = () => (typeof this.getElement === 'function' ? [this.getElement()] : []);
+
+  // Whole element states. These start from the settings and may change later.
+  let disabled = settings.disabled === true;
+  let readOnly = settings.readOnly === true;
+
+  // Group index of each option. Built when first needed.
+  let groupOfOption = null;
+
+  // In multiple mode, all selected indices are kept in a set instead.
+  const selectedIndices = new Set();
+  if (settings.multiple) {
+    [].concat(selectedIndex === undefined ? [] : selectedIndex).forEach(index => selectedIndices.add(index));
+    selectedIndex = undefined;
+  }
+
   // Getter methods
+  this.getId = () => id;
   this.getName = () => name;
   this.getOptions = () => options;
   this.getTexts = () => texts;
-  this.getSelectedIndex = () => selectedIndex;
   this.getOpenState = () => openState;
+  this.getSettings = () => settings;
+  this.getGroups = () => groups || [];
+  this.getDisabledOptions = () => disabledOptions || [];
+  this.getMeta = () => meta || [];
+  this.isMultiple = () => settings.multiple === true;
+  this.isDisabled = () => disabled;
+  this.isReadOnly = () => readOnly;
+
+  /**
+   * Get the index of the selected item. In multiple mode this is the first selected index, or -1 if nothing is selected.
+   */
+  this.getSelectedIndex = () => {
+    if (!this.isMultiple()) return selectedIndex;
+    return selectedIndices.size > 0 ? Math.min(...selectedIndices) : -1;
+  }
+
+  /**
+   * Get the indices of all selected items in ascending order.
+   */
+  this.getSelectedIndices = () => {
+    if (!this.isMultiple()) return selectedIndex === undefined ? [] : [selectedIndex];
+    return Array.from(selectedIndices).sort((a, b) => a - b);
+  }
+
+  this.isSelected = index => this.getSelectedIndices().indexOf(index) > -1;
+
+  /**
+   * Get the index of the group an option belongs to, or -1 if it isn't in a group.
+   * @param {number} index Option index
+   */
+  this.getGroupIndex = (index) => {
+    // Look groups up from a table built once per set of options, so that large lists stay fast
+    if (groupOfOption === null) {
+      groupOfOption = [];
+      this.getGroups().forEach((group, g) => group.indices.forEach((i) => { groupOfOption[i] = g; }));
+    }
+    return groupOfOption[index] === undefined ? -1 : groupOfOption[index];
+  }
+
+  /**
+   * Check if an option is disabled, either by itself or by its group.
+   * @param {number} index Option index
+   */
+  this.isOptionDisabled = (index) => {
+    if (disabledOptions && disabledOptions[index]) return true;
+    const g = this.getGroupIndex(index);
+    return g > -1 && this.getGroups()[g].disabled === true;
+  }
+
+  /**
+   * Disable or enable the whole element. A disabled element can't be opened or focused.
+   * @param {boolean} state Disabled or not
+   */
+  this.setDisabled = (state) => {
+    disabled = state === true;
+    if (disabled) this.close();
+  }
+
+  /**
+   * Make the whole element read-only or editable. A read-only element can be focused but not opened.
+   * @param {boolean} state Read-only or not
+   */
+  this.setReadOnly = (state) => {
+    readOnly = state === true;
+    if (readOnly) this.close();
+  }
+
+  /**
+   * Get the name of the theme this element uses: its own theme, or the global theme if it has none.
+   */
+  this.getTheme = () => settings.theme || globalTheme;
+
+  /**
+   * Get the locale of this element's texts and sorting. Defaults to English.
+   * @returns {string} Language tag, e.g. 'fi-FI'
+   */
+  this.getLocale = () => locale;
+
+  /**
+   * Change the theme of this element. The change shows right away.
+   * @param {string} theme Theme name, or null to use the global theme. See FancySelect.registerTheme.
+   */
+  this.setTheme = (theme) => {
+    if (theme && !themes[theme]) throw new Error(`Unknown theme "${theme}".`);
+    settings.theme = theme || null;
+
+    const elements = getElements();
+    for (let i = 0; i < elements.length; i += 1) {
+      setAtt(elements[i], 'data-fs-theme', getThemeChain(this.getTheme()).join(' '));
+    }
+  }
+
+  /**
+   * Get everything about an option in one object, e.g. for rendering it with a template.
+   * @param {number} index Option index
+   * @returns {Object} Index, value, text, disabled and selected states, and the metadata of the option.
+   */
+  this.getOptionData = (index) => Object.assign({
+    index,
+    value: options[index],
+    text: texts[index],
+    disabled: this.isOptionDisabled(index),
+    selected: this.isSelected(index),
+  }, this.getMeta()[index]);
 
   this.getText = (index) => {
     try {
@@ -24,45 +167,295 @@ function FancySelect(name, options, texts, selectedIndex, openState) {
     }
   }
 
+  // Listeners added with on(), by event type
+  const listeners = {};
+
+  /**
+   * Listen to events of this element: open, close, change, beforechange and create.
+   * The same events are dispatched on the .fs-select element as DOM CustomEvents prefixed with 'fs-', e.g. 'fs-change'.
+   * @param {string} type Event type
+   * @param {function} listener Called with an event object that has the type, a detail object and preventDefault()
+   * @returns {FancySelect} This object, for chaining
+   */
+  this.on = (type, listener) => {
+    listeners[type] = (listeners[type] || []).concat(listener);
+    return this;
+  }
+
+  /**
+   * Stop listening to events of this element.
+   * @param {string} type Event type
+   * @param {function} listener Listener that was added with on()
+   * @returns {FancySelect} This object, for chaining
+   */
+  this.off = (type, listener) => {
+    listeners[type] = (listeners[type] || []).filter(l => l !== listener);
+    return this;
+  }
+
+  /**
+   * Call the listeners of an event and dispatch it on the .fs-select elements of this object.
+   * @param {string} type Event type
+   * @param {Object} detail Event details. Listeners may change them.
+   * @returns {boolean} False if a listener called preventDefault(), true otherwise
+   */
+  this.emit = (type, detail) => {
+    const event = {
+      type,
+      detail,
+      target: this,
+      defaultPrevented: false,
+      preventDefault: () => { event.defaultPrevented = true; },
+    };
+
+    const typeListeners = (listeners[type] || []).slice();
+    for (let i = 0; i < typeListeners.length; i += 1) {
+      try {
+        typeListeners[i].call(this, event);
+      } catch (e) {
+        console.error(e);
+      }
+    }
+
+    const elements = getElements();
+    for (let i = 0; i < elements.length; i += 1) {
+      // Composed, so that the event leaves the shadow root of a <fancy-select> element
+      const domEvent = new CustomEvent('fs-' + type, { bubbles: true, cancelable: true, composed: true, detail });
+      if (!elements[i].dispatchEvent(domEvent)) {
+        event.defaultPrevented = true;
+      }
+    }
+
+    return !event.defaultPrevented;
+  }
+
+  /**
+   * Replace the options and selection of this element, for example after the native <select> element changed.
+   * Selected options are taken as they are, even if they are disabled.
+   * @param {Object} data Option data in the format returned by parseOptions
+   */
+  this.setData = (data) => {
+    const oldIndices = this.getSelectedIndices();
+    const oldValues = oldIndices.map(index => options[index]);
+
+    options = data.options;
+    texts = data.texts;
+    groups = data.groups;
+    disabledOptions = data.disabledOptions;
+    meta = data.meta;
+    groupOfOption = null;
+
+    selectedIndices.clear();
+    if (this.isMultiple()) {
+      data.selectedIndices.forEach(index => selectedIndices.add(index));
+    } else {
+      selectedIndex = data.selectedIndex;
+    }
+
+    // The change already happened, so it can't be vetoed.
+    // The selected value may change without the index changing, when the options were replaced.
+    const newIndices = this.getSelectedIndices();
+    if (oldIndices.join() !== newIndices.join() || oldValues.join('\n') !== newIndices.map(index => options[index]).join('\n')) {
+      this.emit('change', Object.assign(changeDetail(oldIndices, newIndices), { oldValue: oldValues[0] }));
+    }
+  }
+
   /**
    * Open this element and update visible elements accordingly.
    */
   this.open = () => {
+    // Disabled and read-only elements stay closed
+    if (disabled || readOnly) return;
+
+    const wasOpen = openState;
     openState = true;
 
-    // Open Fancy Select with this name
-    const elements = document.querySelectorAll(`.fs-select[data-name="${name}"]`);
+    const elements = getElements();
     for (let i = 0; i < elements.length; i += 1) {
       elements[i].classList.add('fs-active');
+      setAtt(elements[i], 'aria-expanded', 'true');
     }
+
+    if (!wasOpen) this.emit('open', {});
   }
 
   /**
    * Close this element and update visible elements accordingly.
    */
   this.close = () => {
+    const wasOpen = openState;
     openState = false;
 
-    const elements = document.querySelectorAll(`.fs-select[data-name="${name}"]`);
+    const elements = getElements();
     for (let i = 0; i < elements.length; i += 1) {
       if (debugLevel > 2)
         console.log('Removing .fs-active from ', elements[i]);
       elements[i].classList.remove('fs-active');
+      setAtt(elements[i], 'aria-expanded', 'false');
+    }
+
+    if (wasOpen) this.emit('close', {});
+  }
+
+  /**
+   * Check that an index is a valid positive integer within the options.
+   * @param {number} index Index to check
+   */
+  const validateIndex = (index) => {
+    if (typeof index !== 'number') throw new TypeError('Index must be a number.');
+    if (index < 0 || index % 1 !== 0) throw new RangeError('Index must be a positive integer.');
+    if (index > options.length - 1) throw new RangeError(`Element does not have an option at index ${index}. Maximum index is ${options.length - 1}.`);
+  }
+
+  /**
+   * Check that an option can be selected.
+   * @param {number} index Index to check
+   */
+  const validateSelectable = (index) => {
+    validateIndex(index);
+    if (this.isOptionDisabled(index)) throw new Error(`Option at index ${index} is disabled.`);
+  }
+
+  /**
+   * Build the detail object of change and beforechange events.
+   * @param {Array} oldIndices Indices selected before the change
+   * @param {Array} newIndices Indices selected after the change
+   */
+  const changeDetail = (oldIndices, newIndices) => {
+    const oldIndex = oldIndices.length > 0 ? oldIndices[0] : -1;
+    const newIndex = newIndices.length > 0 ? newIndices[0] : -1;
+    return {
+      oldIndex,
+      newIndex,
+      oldValue: options[oldIndex],
+      newValue: options[newIndex],
+      oldIndices,
+      newIndices,
+    };
+  }
+
+  /**
+   * Change the selection, letting beforechange listeners veto or redirect it first.
+   * Listeners redirect by setting detail.newIndex, or detail.newIndices in multiple mode.
+   * @param {Array} newIndices Indices to select
+   * @returns {boolean} Whether the selection was applied
+   */
+  const changeSelection = (newIndices) => {
+    const oldIndices = this.getSelectedIndices();
+    const detail = changeDetail(oldIndices, newIndices);
+    if (!this.emit('beforechange', detail)) return false;
+
+    // Listeners may have redirected the selection
+    let indices = detail.newIndices;
+    if (!this.isMultiple() && detail.newIndex !== newIndices[0]) {
+      indices = [detail.newIndex];
+    }
+    indices.forEach(validateSelectable);
+
+    if (this.isMultiple()) {
+      selectedIndices.clear();
+      indices.forEach(index => selectedIndices.add(index));
+    } else {
+      selectedIndex = indices[0];
+    }
+
+    if (oldIndices.join() !== this.getSelectedIndices().join()) {
+      this.emit('change', changeDetail(oldIndices, this.getSelectedIndices()));
     }
+    return true;
   }
 
   /**
    * Select an index and update visible elements accordingly.
+   * In multiple mode, this replaces the whole selection with the given index.
    * @param {number} newIndex Index to select
+   * @returns {number} The selected index. A beforechange listener may have vetoed or redirected the selection.
    */
   this.select = (newIndex) => {
-    // Check that newIndex is a valid positive integer.
-    if (typeof newIndex !== 'number') throw new TypeError('Index must be a number.');
-    if (newIndex < 0 || newIndex % 1 !== 0) throw new RangeError('Index must be a positive integer.');
-    if (newIndex > options.length - 1) throw new RangeError(`Element does not have an option at index ${newIndex}. Maximum index is ${options.length - 1}.`);
+    validateSelectable(newIndex);
+    changeSelection([newIndex]);
+    return this.getSelectedIndex();
+  }
+
+  /**
+   * Toggle whether an index is selected. Only available in multiple mode.
+   * @param {number} index Index to toggle
+   * @param {boolean} [state] Force the index to be selected (true) or not (false)
+   * @returns {boolean} Whether the index is now selected
+   */
+  this.toggle = (index, state) => {
+    if (!this.isMultiple()) throw new Error('Only Fancy Selects in multiple mode can toggle options.');
+    validateIndex(index);
+
+    const selected = state === undefined ? !selectedIndices.has(index) : state;
+    if (selected && this.isOptionDisabled(index)) throw new Error(`Option at index ${index} is disabled.`);
+
+    const indices = this.getSelectedIndices().filter(i => i !== index);
+    if (selected) {
+      indices.push(index);
+    }
+    changeSelection(indices.sort((a, b) => a - b));
+    return this.isSelected(index);
+  }
+
+  /**
+   * Add a range of indices to the selection, skipping disabled options. Only available in multiple mode.
+   * @param {number} from First index of the range
+   * @param {number} to Last index of the range. May be smaller than from.
+   * @returns {Array} Indices of all selected items
+   */
+  this.selectRange = (from, to) => {
+    if (!this.isMultiple()) throw new Error('Only Fancy Selects in multiple mode can select ranges.');
+    validateIndex(from);
+    validateIndex(to);
+
+    const indices = this.getSelectedIndices();
+    for (let i = Math.min(from, to); i <= Math.max(from, to); i += 1) {
+      if (!this.isOptionDisabled(i) && indices.indexOf(i) < 0) {
+        indices.push(i);
+      }
+    }
+    changeSelection(indices.sort((a, b) => a - b));
+    return this.getSelectedIndices();
+  }
 
-    selectedIndex = newIndex;
-    return selectedIndex;
+  /**
+   * Get the value of the selected option.
+   * @returns {string|Array} Selected value, or null if nothing is selected. An array of values in multiple mode.
+   */
+  this.getValue = () => {
+    const values = this.getSelectedIndices().map(index => options[index]);
+    if (this.isMultiple()) return values;
+    return values.length > 0 ? values[0] : null;
+  }
+
+  /**
+   * Get the index of the first option with a value.
+   * @param {string} value Value to look for
+   * @returns {number} Index of the option
+   */
+  const indexOfValue = (value) => {
+    const index = options.indexOf(String(value));
+    if (index < 0) throw new RangeError(`Element does not have an option with the value '${value}'.`);
+    return index;
+  }
+
+  /**
+   * Select options by value and update visible elements accordingly. If several options have the same value,
+   * the first one is selected.
+   * @param {string|Array} value Value to select. An array of values in multiple mode, which replaces the whole selection.
+   * @returns {string|Array} The selected value. A beforechange listener may have vetoed or redirected the selection.
+   */
+  this.setValue = (value) => {
+    if (this.isMultiple()) {
+      const values = Array.isArray(value) ? value : [value];
+      const indices = values.map(indexOfValue).filter((index, i, all) => all.indexOf(index) === i);
+      indices.forEach(validateSelectable);
+      changeSelection(indices.sort((a, b) => a - b));
+    } else {
+      this.select(indexOfValue(value));
+    }
+    return this.getValue();
   }
 }
 
@@ -81,16 +474,24 @@ function handleClick(event, item, fsObjects) {
       fsObjects[i].close();
     }
   } else {
-    // User clicked on a Fancy Select. We only want to open if they clicked on the placeholder.
-    const targetIsPlaceholder = event.target.classList.contains('fs-placeholder');
-    if (targetIsPlaceholder) {
-      item.open();
+    // Disabled and read-only Fancy Selects can't be opened.
+    if (item.isDisabled() || item.isReadOnly()) return;
 
-      // Close other Fancy Selects.
-      for (let i = 0; i < fsObjects.length; i += 1) {
-        if (fsObjects[i].getName() !== item.getName()) {
-          fsObjects[i].close();
+    // User clicked on a Fancy Select. We only want to open or close if they clicked on the placeholder.
+    const targetIsPlaceholder = getClosest(event.target, '.fs-placeholder') !== null;
+    if (targetIsPlaceholder) {
+      const element = getClosest(event.target, '.fs-select');
+      if (item.getOpenState()) {
+        closeFancySelect(item, element, true);
+      } else if (touchPickers.has(element) && touchPickers.get(element).open()) {
+        // Touch screens get a picker of their own. Close other Fancy Selects like openFancySelect does.
+        for (let i = 0; i < fsObjects.length; i += 1) {
+          if (fsObjects[i] !== item) {
+            fsObjects[i].close();
+          }
         }
+      } else {
+        openFancySelect(item, element, fsObjects);
       }
     }
   }
@@ -98,25 +499,23 @@ function handleClick(event, item, fsObjects) {
 
 /**
  * Handle focusing of Fancy Select elements.
+ * Focus stays on the Fancy Select element (or its search input) while the user navigates the options.
  * @param {*} event Focus event
  * @param {FancySelect} item Fancy Select object respective to the element that was focused.
  * @param {Array} fsObjects Array of all Fancy Select objects.
  */
 function handleFocus(event, item, fsObjects) {
   event.stopPropagation();
-  item.open();
-
-  // Set focus on the currently selected option
-  const options = document.querySelectorAll(`.fs-select[data-name="${item.getName()}"] .fs-options-list li`);
-  options[item.getSelectedIndex()].focus();
 
-  // Remove tabindex from parent
-  const parent = document.querySelector(`.fs-select[data-name="${item.getName()}"]`);
-  setAtt(parent, 'tabindex', -1);
+  // Disabled Fancy Selects can't be focused.
+  if (item.isDisabled()) {
+    event.target.blur();
+    return;
+  }
 
   // Close other Fancy Selects.
   for (let i = 0; i < fsObjects.length; i += 1) {
-    if (fsObjects[i].getName() !== item.getName()) {
+    if (fsObjects[i] !== item) {
       fsObjects[i].close();
     }
   }
@@ -124,19 +523,18 @@ function handleFocus(event, item, fsObjects) {
 
 
 /**
- * Handle blurring of Fancy Select option elements.
- * @param {*} event Blur event.
+ * Handle focus leaving a Fancy Select element or its search input.
+ * @param {*} event Focusout event.
  * @param {FancySelect} item This Fancy Select object.
- * @param {*} element Fancy Select element whose option was blurred.
+ * @param {*} element Fancy Select element that lost focus.
  */
 function handleBlur(event, item, element) {
   // Find out where focus went
   const focusTarget = event.relatedTarget;
 
-  // If an option of this Fancy Select was focused, do nothing. Otherwise set this Fancy Select's tabindex to 0.
-  if (focusTarget == undefined || !element.contains(focusTarget)) {
-    item.close();
-    setAtt(element, 'tabindex', '0');
+  // If focus moved within this Fancy Select, do nothing. Otherwise close it.
+  if (focusTarget == undefined || !element.contains(focusTarget)) {
+    closeFancySelect(item, element, false);
   }
 }
 
@@ -161,14 +559,43 @@ const getClosest = (elem, selector) => {
       };
   }
 
-  // Get the closest matching element
-  for (; elem && elem !== document; elem = elem.parentNode) {
+  // Get the closest matching element. Stops at the document, or at the shadow root the element is in.
+  for (; elem && elem.nodeType === 1; elem = elem.parentNode) {
     if (elem.matches(selector)) return elem;
   }
   return null;
 };
 
 
+// Shadow roots of <fancy-select> elements. Fancy Select elements are looked up by name from these and the document.
+const shadowRoots = new Set();
+
+
+/**
+ * Find elements by selector from the document and the shadow roots of <fancy-select> elements.
+ * @param {string} selector CSS selector
+ * @returns {Array} Matching elements.
+ */
+const queryAllRoots = (selector) => {
+  let elements = Array.prototype.slice.call(document.querySelectorAll(selector));
+  shadowRoots.forEach((root) => {
+    elements = elements.concat(Array.prototype.slice.call(root.querySelectorAll(selector)));
+  });
+  return elements;
+}
+
+
+/**
+ * Get the focused element as seen from an element, which may be in a shadow root.
+ * @param {HTMLElement} element Element
+ * @returns {HTMLElement} Focused element.
+ */
+const getActiveElement = (element) => {
+  const root = element.getRootNode ? element.getRootNode() : document;
+  return root.activeElement || document.activeElement;
+}
+
+
 /**
  * Add attributes to DOM elements.
  * @param {HTMLElement} element Element to which add the attribute
@@ -190,425 +617,4451 @@ const setAtt = (element, name, value) => {
 const debugLevel = 0;
 
 
+// Option metadata shown in the options list
+const shownMetaKeys = ['icon', 'description', 'swatch', 'avatar'];
+
+// Option metadata, each read from the data-* attribute of the same name. Sentences use plural and article,
+// see FancySelect.createSentence.
+const optionMetaKeys = shownMetaKeys.concat(['plural', 'article']);
+
+
 /**
- * Parse native <select> elements into JavaScript objects. 
- * Use createFancySelects to transform these objects into Fancy Selects
- * @returns {Object} Reference to an array of FancySelect objects.
+ * Parse the options of a native <select> element into a JavaScript object of the following format
+ * {
+ *   options: [
+ *     ...,
+ *   ],
+ *   texts: [
+ *     ...,
+ *   ],
+ *   selectedIndex: ...,
+ *   selectedIndices: [
+ *     ...,
+ *   ],
+ *   disabledOptions: [
+ *     ...,
+ *   ],
+ *   groups: [
+ *     { label: ..., disabled: ..., indices: [...] },
+ *   ],
+ *   meta: [
+ *     { icon: ..., description: ..., swatch: ..., avatar: ..., plural: ..., article: ... },
+ *   ],
+ * }
+ * Metadata comes from the data-icon, data-description, data-swatch, data-avatar, data-plural and data-article
+ * attributes of each <option>.
+ * @param {HTMLSelectElement} s Native <select> element.
+ * @returns {Object} Option data, or null if the options couldn't be parsed.
  */
-const parseSelects = () => {
-  // This used to be a global variable. Fall back to using it as a global if things don't start working.
-  const fancySelects = []; // Contains all Fancy Select objects
+const parseOptions = (s) => {
+  const data = {};
 
-  // Get native <select> elements
-  const nativeSelects = document.getElementsByClassName('fs-select-origin');
-  for (let i = 0; i < nativeSelects.length; i += 1) {
-    const s = nativeSelects[i];
-    /**
-     * Deconstruct elements and their options into the following format
-     * {
-     *   name: ...,
-     *   options: [
-     *     ...,
-     *   ],
-     *   texts: [
-     *     ...,
-     *   ],
-     *   selectedIndex: ...,
-     * }
-     */
-    const item = {};
+  try {
+    // Copy the live collection into an array once, which keeps large lists fast
+    const options = Array.prototype.slice.call(s.getElementsByTagName('option'));
+    data.options = [];
+    data.texts = [];
+    data.selectedIndices = [];
+    data.disabledOptions = [];
+    data.groups = [];
+    data.meta = [];
+    let groupElement = null;
+    for (let j = 0; j < options.length; j += 1) {
+      const o = options[j];
+      // Copy option value and text into the object we're building
+      data.options[j] = o.value;
+      data.texts[j] = o.text;
+      data.disabledOptions[j] = o.disabled;
 
-    // Parse element name
-    try {
-      item.name = s.attributes['name'].value;
-    } catch (e) {
-      console.log('Couldn\'t find name in the following element ', s);
-      continue;
-    }
+      // Only the metadata the option has
+      data.meta[j] = {};
+      optionMetaKeys.forEach((key) => {
+        if (o.hasAttribute('data-' + key)) {
+          data.meta[j][key] = o.getAttribute('data-' + key);
+        }
+      });
 
-    // Parse element option values and names
-    try {
-      const options = s.getElementsByTagName('option');
-      item.options = [];
-      item.texts = [];
-      for (let j = 0; j < options.length; j += 1) {
-        const o = options[j];
-        // Copy option value and text into the object we're building
-        item.options[j] = o.value;
-        item.texts[j] = o.text;
-
-        // Check if item is selected
-        if (o.selected) { item.selectedIndex = j }
+      // Keep track of which <optgroup> the option belongs to
+      if (o.parentNode.tagName === 'OPTGROUP') {
+        if (o.parentNode !== groupElement) {
+          groupElement = o.parentNode;
+          data.groups.push({ label: groupElement.label, disabled: groupElement.disabled, indices: [] });
+        }
+        data.groups[data.groups.length - 1].indices.push(j);
       }
-    } catch (e) {
-      console.log('Couldn\'t parse options from the following element ', s);
-      continue;
-    }
 
-    // Element is not expanded by default
-    item.isOpen = false;
-
-    // Successfully built an object. Add it to an array of finished objects.
-    fancySelects.push(new FancySelect(item.name, item.options, item.texts, item.selectedIndex, item.isOpen));
+      // Check if item is selected
+      if (o.selected) {
+        data.selectedIndex = j;
+        data.selectedIndices.push(j);
+      }
+    }
+  } catch (e) {
+    console.log('Couldn\'t parse options from the following element ', s);
+    return null;
   }
 
-  // Log how many were successfully parsed
-  if (debugLevel > 0) 
-    console.log(`Found ${nativeSelects.length} <select> elements and converted ${fancySelects.length} into objects.`);
-  
-  return fancySelects;
+  return data;
 }
 
 
 /**
- * Create DOM elements from FancySelect objects.
- * @param {Array} items Array of FancySelect objects.
- * @returns {Array} Array of Fancy Select DOM elements.
+ * Parse a native <select> element into a JavaScript object.
+ * Use createFancySelect to transform the object into a Fancy Select.
+ * @param {HTMLSelectElement} s Native <select> element.
+ * @param {Object} settings Per-instance options passed on to the FancySelect object.
+ * @returns {FancySelect} FancySelect object, or null if the element couldn't be parsed.
  */
-const createFancySelects = (items) => {
-  const DOMElements = [];
-
-  for(let i = 0; i < items.length; i += 1) {
-    if (debugLevel > 1)
-      console.log('Creating Fancy Select', items[i]);
-
-    // CONTAINER
-    const container = document.createElement('div');
-    setAtt(container, 'class', 'fs-select'); // class
-    setAtt(container, 'data-name', items[i].getName()) // data-name
-    // Data-width
-    setAtt(container, 'data-width', '7.5');
-    // Make tab-navigable
-    setAtt(container, 'tabindex', '0');
-    // Aria elements
-    setAtt(container, 'role', 'listbox');
-    setAtt(container, 'aria-label', items[i].getName());
-    
-    // PLACEHOLDER
-    const ph = document.createElement('span');
-    setAtt(ph, 'class', 'fs-placeholder');
-    
-    // Set placeholder value to what is selected
-    const phText = items[i].getTexts()[items[i].selectedIndex];
-    const phTextNode = document.createTextNode(phText);
-  
-    // Add text to placeholder
-    ph.appendChild(phTextNode);
-
-    // Add placeholder to container
-    container.appendChild(ph);
-
-
-    // OPTIONS LIST
-    const oWrapper = document.createElement('div'); // Wrapper
-    setAtt(oWrapper, 'class', 'fs-options');
-
-    const oList = document.createElement('ul'); // UL
-    setAtt(oList, 'class', 'fs-options-list');
-
-    // Create all different options
-    for(let j = 0; j < items[i].getOptions().length; j += 1) {
-      const opt = document.createElement('li');
-      setAtt(opt, 'tabindex', -1); // Let scripts focus these options. Needed for keyboard navigation.
-      setAtt(opt, 'role', 'option');
-      setAtt(opt, 'data-value', items[i].getOptions()[j]);
-      try {
-        // Add text to option.
-        const optTextNode = document.createTextNode(items[i].getTexts()[j]);
-        opt.appendChild(optTextNode);
-      } catch (e) {
-        console.warn(`Select element ${items[i].getName() || ''} has unequal amounts of options and texts. Check that each option has a value attribute and text content.`, e);
-      }
+const parseSelect = (s, settings) => {
+  // Follow the element's multiple, disabled, readonly and data-fs-depends-on attributes and its language
+  // unless they were set explicitly
+  settings = Object.assign({
+    multiple: s.multiple,
+    disabled: s.disabled,
+    readOnly: s.hasAttribute('readonly'),
+  }, getLanguage(s) ? { locale: getLanguage(s) } : {}, s.hasAttribute('data-fs-depends-on') ? { dependsOn: s.getAttribute('data-fs-depends-on') } : {}, settings);
 
-      // Add created <li> element to <ul> wrapper.
-      oList.appendChild(opt);
-    }
+  // Elements without a name get an empty one. They work, but can't be saved or depended on.
+  const name = s.getAttribute('name') || '';
 
-    oWrapper.appendChild(oList); // Add <ul> to wrapper
-    container.appendChild(oWrapper); // Add options list wrapper to container
-
-    // Add created Fancy Selects into their correct positions and hide the native <select> element.
-    const sourceLocations = document.getElementsByName(items[i].getName());
-    for (let j = 0; j < sourceLocations.length; j += 1) {
-      // Add Fancy Select
-      sourceLocations[j].parentElement.appendChild(container);
-      // Hide original <select>
-      sourceLocations[j].style.display = 'none';
-    }
+  // Parse element option values and names
+  const data = parseOptions(s);
+  if (data === null) return null;
 
-    DOMElements.push(container);
-  }
+  // Element is not expanded by default
+  const isOpen = false;
 
-  return DOMElements;
+  // Successfully built an object.
+  const selected = settings.multiple ? data.selectedIndices : data.selectedIndex;
+  return new FancySelect(name, data.options, data.texts, selected, isOpen, settings, data.groups, data.disabledOptions, data.meta);
 }
 
 
 /**
- * Handle what happens when the user selects a dropdown value.
- * @param {*} event Click event
- * @param {FancySelect} item The Fancy Select object whose option was clicked.
- * @param {*} element The Fancy Select DOM element whose option was clicked.
+ * Create a native <option> element from option data.
+ * @param {Object} data Option with a value, and optionally a text, a disabled state and the keys of optionMetaKeys.
+ * The text defaults to the value.
+ * @returns {HTMLOptionElement} Option element
  */
-function handleSelect(event, item, element) {
-  // Get the newly clicked value.
-  const value = event.target.attributes['data-value'].value;
+const createSelectOption = (data) => {
+  const o = document.createElement('option');
+  o.value = data.value;
+  o.text = data.text === undefined ? data.value : data.text;
+  o.disabled = data.disabled === true;
+  optionMetaKeys.forEach((key) => {
+    if (data[key] !== undefined) o.setAttribute('data-' + key, data[key]);
+  });
+  return o;
+}
 
-  // Find the value in the Fancy Select object's options array.
-  for (let i = 0; i < item.getOptions().length; i += 1) {
-    if (item.getOptions()[i] === value) {
-      // Select the new option with the matching index we found.
-      item.select(i);
 
-      // Update the native <select> element's selected value.
-      updateSelectElements({ name: item.getName(), index: i });
-    }
-  }
+// View state of each options list (.fs-options-list) by element:
+// - query: Normalized search query the options are filtered by
+// - matches: Indices of the options that match the query, or null if all do
+// - navigable: Indices of the matching options that aren't disabled. Built when first needed.
+// - active: Index of the active option, or -1
+// - virtual: Whether only the options scrolled into view are rendered (see renderVirtualWindow)
+// - rows: Rows of a virtual list, each either an option ({ index, position }) or a group label ({ group })
+// - rowOf: Row number of each option in a virtual list
+// - optionCount: Number of option rows in a virtual list
+// - itemHeight: Measured height of a virtual list row in pixels
+// - range: First and last row currently rendered in a virtual list, and their height
+// - frame: Pending animation frame request for rendering a virtual list
+// - creator: Adds options the user types in creatable mode, see createCreatable
+// - create: The option the "Create" row would add, or null if the row is hidden
+const listStates = new WeakMap();
 
-  // Don't close the Fancy Select if the keyboard was used to select an option.
-  // The element should close when focus is moved elsewhere.
-  if (event.type !== 'keydown') {
-    item.close();
+
+/**
+ * Get the view state of an options list.
+ * @param {HTMLElement} oList Options list (.fs-options-list).
+ * @returns {Object} View state, see listStates.
+ */
+const getListState = (oList) => {
+  let state = listStates.get(oList);
+  if (!state) {
+    state = {
+      query: '',
+      matches: null,
+      navigable: null,
+      active: -1,
+      virtual: false,
+      rows: [],
+      rowOf: [],
+      optionCount: 0,
+      itemHeight: 0,
+      range: null,
+      frame: null,
+      creator: null,
+      create: null,
+    };
+    listStates.set(oList, state);
   }
+  return state;
+}
 
-  // Update Fancy Select placeholders
-  if (debugLevel > 1)
-    console.log('Updating placeholder text for', element);
-  updatePlaceholder(item, element);
 
-  return;
+/**
+ * Check if a Fancy Select renders only the options scrolled into view, following its virtualize option.
+ * @param {FancySelect} item FancySelect object.
+ * @returns {boolean} Whether the options list is virtual.
+ */
+const isVirtual = (item) => {
+  const virtualize = item.getSettings().virtualize;
+  return virtualize === true || (typeof virtualize === 'number' && item.getOptions().length > virtualize);
 }
 
 
 /**
- * Update <select> elements.
- * @param {Array} items Element names and selected indices that were updated.
+ * Get the index of the option an <li> element represents.
+ * @param {HTMLElement} li Option <li> element.
+ * @returns {number} Option index.
  */
-const updateSelectElements = (items) => {
-  // Update native <select> elements.
-  let nativeCollection = document.getElementsByTagName('select'); // Returns a HTMLCollection
+const getOptionIndex = li => parseInt(li.getAttribute('data-index'), 10);
 
-  if (!(items instanceof Array)) {
-    items = [items];
+
+/**
+ * Get the <li> element of an option. In a virtual list the option is rendered first if it's scrolled out of view.
+ * The index after the last option is the "Create" row of creatable mode while it's shown.
+ * @param {FancySelect} item FancySelect object.
+ * @param {*} element Fancy Select DOM element.
+ * @param {number} index Option index.
+ * @returns {HTMLElement} Option <li> element, or null if there is no such option.
+ */
+const getOptionElement = (item, element, index) => {
+  const oList = element.querySelector('.fs-options-list');
+  const state = getListState(oList);
+  if (state.create && index === item.getOptions().length) {
+    return element.querySelector('.fs-create');
   }
 
-  for (let n of nativeCollection) {
-    for (let i of items) {
-      // Only modify elements that have changed.
-      if (n.name === i.name) {
-        // Remove 'selected' attribute from old option
-        const oldSelectedOption = ( n.querySelector('option[selected]') || n.querySelector('option[selected="selected"]') );
-        oldSelectedOption.removeAttribute('selected');
-        oldSelectedOption.removeAttribute('aria-selected');
+  const selector = `li[role="option"][data-index="${index}"]`;
 
-        // Set new option as selected
-        const newOption = n.getElementsByTagName('option')[i.index];
-        setAtt(newOption, 'selected', 'selected');
-        setAtt(newOption, 'aria-selected', 'true');
-      }
-    }
+  let option = oList.querySelector(selector);
+  if (option === null && state.virtual && state.rowOf[index] !== undefined) {
+    renderVirtualWindow(item, oList, state.rowOf[index]);
+    option = oList.querySelector(selector);
   }
+  return option;
 }
 
 
 /**
- * Update Fancy Select placeholder text with what the data object has selected.
- * @param {Object} obj Fancy Select object with new values.
- * @param {Object} element Fancy Select DOM element that needs to be updated.
+ * Get the indices of the options of a Fancy Select that can be navigated to:
+ * the ones that are neither filtered out nor disabled, and the "Create" row of creatable mode if it's shown.
+ * @param {FancySelect} item FancySelect object.
+ * @param {*} element Fancy Select DOM element.
+ * @returns {Array} Option indices in ascending order.
  */
-const updatePlaceholder = (obj, element) => {
-  const placeholder = element.querySelector('.fs-placeholder');
-  const newValue = obj.getText(obj.getSelectedIndex());
+const getNavigableIndices = (item, element) => {
+  const state = getListState(element.querySelector('.fs-options-list'));
+  if (state.navigable === null) {
+    const indices = state.matches || item.getOptions().map((option, j) => j);
+    state.navigable = indices.filter(j => !item.isOptionDisabled(j));
+    if (state.create) {
+      state.navigable.push(item.getOptions().length);
+    }
+  }
+  return state.navigable;
+}
+
 
-  // Update placeholder with newly found text
-  if (placeholder.innerHTML !== newValue) {
-    placeholder.innerHTML = newValue;
+/**
+ * Write the text of an option into its <li> element, highlighting the part that matches a search query.
+ * @param {HTMLElement} li Option <li> element.
+ * @param {string} text Option text.
+ * @param {string} q Normalized search query. Nothing is highlighted if it's empty or doesn't match.
+ */
+const writeOptionText = (li, text, q) => {
+  while (li.firstChild) {
+    li.removeChild(li.firstChild);
   }
 
-  // Update selected state on the <li> element if it matches the current value
-  var listElements = element.querySelectorAll('.fs-options .fs-options-list li');
-  for (var j = 0; j < listElements.length; j += 1) {
-    if (listElements[j].textContent === newValue) {
-      setAtt(listElements[j], 'selected', 'selected');
-      setAtt(listElements[j], 'aria-selected', 'true');
-    } else {
-      listElements[j].removeAttribute('selected');
-      listElements[j].removeAttribute('aria-selected');
-    }
+  const normalized = q.length > 0 ? normalizeSearchText(text) : null;
+  const start = normalized ? normalized.text.indexOf(q) : -1;
+  if (start < 0) {
+    li.appendChild(document.createTextNode(text));
+    return;
   }
+
+  // Highlight the matched part
+  const from = normalized.map[start];
+  const to = normalized.map[start + q.length - 1] + 1;
+  const mark = document.createElement('mark');
+  setAtt(mark, 'class', 'fs-match');
+  mark.appendChild(document.createTextNode(text.slice(from, to)));
+
+  li.appendChild(document.createTextNode(text.slice(0, from)));
+  li.appendChild(mark);
+  li.appendChild(document.createTextNode(text.slice(to)));
 }
 
 
 /**
- * Initialize all Fancy Select DOM element sizes.
- * - Width is calculated from the data-width property set in each element
- * - Height is calculated from the number of options each element has
- * @param {Array} elements Array of Fancy Select DOM elements.
+ * Write the contents of an option, the placeholder or a chip of a Fancy Select, replacing its previous contents.
+ * The template option renders the contents if it's set and returns something. Otherwise options with
+ * metadata get an avatar, a color swatch and an icon before their text, and options get their description below it.
+ * Contents are only ever built from DOM nodes and text, never parsed from HTML.
+ * @param {FancySelect} item FancySelect object.
+ * @param {HTMLElement} target Element to write into.
+ * @param {number} index Option index.
+ * @param {string} type What is being rendered: 'option', 'placeholder' or 'chip'.
+ * @param {string} q Normalized search query to highlight.
  */
-const initializeSelectSizes = (elements) => {
-  // Start by dynamically creating an empty stylesheet at the document head
-  const styleElem = document.head.appendChild(document.createElement('style'));
-  // Then loop through all the Fancy Select elements.
-  let processedCount = 0;
-  
-  // WIDTH
-  // Set Fancy Select element widths from their data-width properties
-  for (let i = 0; i < elements.length; i += 1) {
-    const current = elements[i];
-
-    // Approximate a width for our Fancy Selectbased on the longest option text.
-    const options = current.querySelectorAll('.fs-options-list li');
-    let maxWidth = 0;
+const writeOptionContent = (item, target, index, type, q) => {
+  const template = item.getSettings().template;
+  if (typeof template === 'function') {
+    let content = null;
+    try {
+      content = template(item.getOptionData(index), { type, query: q });
+    } catch (e) {
+      console.error(e);
+    }
 
-    // Get the longest option string
-    for (let j = 0; j < options.length; j += 1) {
-      const option = options[j];
-      maxWidth = Math.max(maxWidth, option.textContent.length);
+    // A template returns a DOM node, or a string that is shown as text
+    if (content !== null && content !== undefined) {
+      while (target.firstChild) {
+        target.removeChild(target.firstChild);
+      }
+      target.appendChild(content instanceof Node ? content : document.createTextNode(String(content)));
+      return;
     }
+  }
+
+  const meta = item.getMeta()[index] || {};
+  if (!shownMetaKeys.some(key => meta[key])) {
+    writeOptionText(target, item.getText(index), q);
+    return;
+  }
 
-    // Calculate and apply the new width
-    const newWidth = Math.round((maxWidth * 0.5) + 4.5);
-    current.style.width = newWidth + 'em';
+  while (target.firstChild) {
+    target.removeChild(target.firstChild);
+  }
 
+  if (meta.avatar) {
+    const avatar = document.createElement('img');
+    setAtt(avatar, 'class', 'fs-option-avatar');
+    setAtt(avatar, 'src', meta.avatar);
+    setAtt(avatar, 'alt', '');
+    target.appendChild(avatar);
+  }
+  if (meta.swatch) {
+    const swatch = document.createElement('span');
+    setAtt(swatch, 'class', 'fs-option-swatch');
+    setAtt(swatch, 'aria-hidden', 'true');
+    swatch.style.backgroundColor = meta.swatch;
+    target.appendChild(swatch);
+  }
+  if (meta.icon) {
+    // Material Icons ligature, e.g. "home"
+    const icon = document.createElement('span');
+    setAtt(icon, 'class', 'fs-option-icon');
+    setAtt(icon, 'aria-hidden', 'true');
+    icon.appendChild(document.createTextNode(meta.icon));
+    target.appendChild(icon);
+  }
 
-    // HEIGHT
-    // Set how high each .fs-select::before element is based on how many options it contains
-    // Count number of <li> elements it has as children
-    let liCount = options.length;
-    
-    // Give the current Fancy Select a unique ID
-    let id = 'fs-unique-' + i;
-    // To make sure the ID is unique, keep giving it a suffix number until no similar ids are found within the document
-    let iteration = 0;
-    while (document.getElementById(id) !== null) {
-      id = 'fs-unique-' + i + '-' + iteration;
-    }
-    current.setAttribute('id', id);
-
-    // Do some math concerning the height
-    const h = options[0].offsetHeight;
-    const beforeDefaultHeight = current.querySelector('.fs-placeholder').offsetHeight;
-
-    // Add an entry to our new stylesheet (in the page head) concerning the ::before element of our fancy-select
-    const activeWidth = 1;
-    // const activeHeight = liCount / 1.25;
-    const activeHeight = (liCount * (h / beforeDefaultHeight)) + 0.5;
-    const selector = '#' + id + '.fs-active::before';
-    const style = '{ transform: scale(' + activeWidth +', ' + activeHeight + '); }'
-    styleElem.innerHTML = styleElem.innerHTML + selector + style;
-
-    processedCount += 1;
+  const text = document.createElement('span');
+  setAtt(text, 'class', 'fs-option-text');
+  writeOptionText(text, item.getText(index), q);
+  target.appendChild(text);
 
-    if (debugLevel > 0)
-      console.log(`Initialized size of ${processedCount} Fancy Select elements.`)
+  if (meta.description && type === 'option') {
+    const description = document.createElement('span');
+    setAtt(description, 'class', 'fs-option-description');
+    description.appendChild(document.createTextNode(meta.description));
+    target.appendChild(description);
   }
 }
 
 
 /**
- * Find <select> elements and build Fancy Selects from them, hiding the native <select> elements.
- * @returns {Object} Array of Fancy Select Objects (fsObjects) and array of Fancy Select DOM elements (fsElements).
+ * Mark an option <li> element as selected or not.
+ * @param {HTMLElement} li Option <li> element.
+ * @param {boolean} selected Selected or not
  */
-const init = () => {
-  // Parse native <select> elements into JS objects
-  const items = parseSelects();
-
-  // Construct a Fancy Select element from each object
-  const elements = createFancySelects(items);
-
+const setOptionSelected = (li, selected) => {
+  if (selected) {
+    setAtt(li, 'selected', 'selected');
+    setAtt(li, 'aria-selected', 'true');
+  } else {
+    li.removeAttribute('selected');
+    setAtt(li, 'aria-selected', 'false');
+  }
+  updateOptionPart(li);
+}
+
+
+/**
+ * Name an option element as a part from its state, so that the options of a <fancy-select> element can be styled
+ * from outside its shadow root, e.g. with ::part(option selected) or ::part(option active).
+ * @param {HTMLElement} li Option <li> element, or the "Create" row.
+ */
+const updateOptionPart = (li) => {
+  const part = [li.classList.contains('fs-create') ? 'create' : 'option'];
+  if (li.getAttribute('aria-selected') === 'true') part.push('selected');
+  if (li.getAttribute('aria-disabled') === 'true') part.push('disabled');
+  if (li.classList.contains('fs-focused')) part.push('active');
+  setAtt(li, 'part', part.join(' '));
+}
+
+
+/**
+ * Create the <li> element of an option.
+ * @param {FancySelect} item FancySelect object.
+ * @param {HTMLElement} oList Options list the option belongs to.
+ * @param {number} j Option index.
+ * @returns {HTMLElement} Option <li> element.
+ */
+const createOptionElement = (item, oList, j) => {
+  const opt = document.createElement('li');
+  setAtt(opt, 'id', oList.id + '-option-' + j); // Referred to by aria-activedescendant
+  setAtt(opt, 'role', 'option');
+  setAtt(opt, 'data-index', j);
+  if (item.isOptionDisabled(j)) {
+    setAtt(opt, 'aria-disabled', 'true');
+  }
+  setAtt(opt, 'data-value', item.getOptions()[j]);
+  try {
+    // Add text to option.
+    writeOptionContent(item, opt, j, 'option', getListState(oList).query);
+  } catch (e) {
+    console.warn(`Select element ${item.getName() || ''} has unequal amounts of options and texts. Check that each option has a value attribute and text content.`, e);
+  }
+  updateOptionPart(opt);
+  return opt;
+}
+
+
+/**
+ * Create the option <li> elements of a Fancy Select, replacing any previous ones.
+ * A virtual list only gets the options scrolled into view, see renderVirtualWindow.
+ * @param {FancySelect} item FancySelect object.
+ * @param {HTMLElement} oList Options list (.fs-options-list) to fill.
+ */
+const renderOptions = (item, oList) => {
+  const state = getListState(oList);
+  state.virtual = isVirtual(item);
+  state.matches = null;
+  state.navigable = null;
+
+  if (state.virtual) {
+    oList.classList.add('fs-virtual');
+    buildVirtualRows(item, oList);
+    renderVirtualWindow(item, oList);
+    return;
+  }
+
+  oList.classList.remove('fs-virtual');
+  oList.style.maxHeight = '';
+  while (oList.firstChild) {
+    oList.removeChild(oList.firstChild);
+  }
+
+  // Create all different options. Options of an <optgroup> go into a group of their own.
+  let groupList = null;
+  let currentGroup = -1;
+  for(let j = 0; j < item.getOptions().length; j += 1) {
+    const opt = createOptionElement(item, oList, j);
+
+    // Add created <li> element to <ul> wrapper, or to its group.
+    const g = item.getGroupIndex(j);
+    if (g < 0) {
+      oList.appendChild(opt);
+    } else {
+      if (g !== currentGroup) {
+        groupList = createOptionGroup(item.getGroups()[g], oList);
+      }
+      groupList.appendChild(opt);
+    }
+    currentGroup = g;
+  }
+}
+
+
+/**
+ * Lay out the rows of a virtual options list from the options that match the current search:
+ * a row for each option and a row for the label of each group.
+ * @param {FancySelect} item FancySelect object.
+ * @param {HTMLElement} oList Options list (.fs-options-list).
+ */
+const buildVirtualRows = (item, oList) => {
+  const state = getListState(oList);
+  const indices = state.matches || item.getOptions().map((option, j) => j);
+
+  state.rows = [];
+  state.rowOf = [];
+  state.range = null;
+
+  let currentGroup = -1;
+  for (let k = 0; k < indices.length; k += 1) {
+    const g = item.getGroupIndex(indices[k]);
+    if (g > -1 && g !== currentGroup) {
+      state.rows.push({ group: g });
+    }
+    currentGroup = g;
+
+    state.rowOf[indices[k]] = state.rows.length;
+    state.rows.push({ index: indices[k], position: k + 1 });
+  }
+  state.optionCount = indices.length;
+}
+
+
+// Row height used for a virtual list until its rows can be measured, in pixels
+const virtualFallbackHeight = 30;
+
+
+/**
+ * Measure the height of a row of a virtual options list by rendering its first option as a sample.
+ * @param {FancySelect} item FancySelect object.
+ * @param {HTMLElement} oList Options list (.fs-options-list).
+ * @returns {number} Row height in pixels, or 0 if the list isn't laid out.
+ */
+const measureVirtualRow = (item, oList) => {
+  if (item.getOptions().length === 0) return 0;
+
+  const sample = createOptionElement(item, oList, 0);
+  sample.removeAttribute('id');
+  setAtt(sample, 'role', 'none');
+  oList.appendChild(sample);
+  const height = sample.offsetHeight;
+  oList.removeChild(sample);
+  return height;
+}
+
+
+/**
+ * Render the rows of a virtual options list that are scrolled into view, plus a few extra on both sides
+ * (the virtualOverscan option). Rows above and below them are replaced by spacers of the same height,
+ * so the list scrolls as if all options were there. Each rendered option tells its position among the
+ * matching options with aria-posinset and aria-setsize.
+ * @param {FancySelect} item FancySelect object.
+ * @param {HTMLElement} oList Options list (.fs-options-list).
+ * @param {number} [keepRow] Row to render even if it's scrolled out of view, e.g. the row of the active option.
+ */
+const renderVirtualWindow = (item, oList, keepRow) => {
+  const settings = item.getSettings();
+  const state = getListState(oList);
+
+  if (!state.itemHeight) {
+    state.itemHeight = settings.virtualItemHeight || measureVirtualRow(item, oList);
+  }
+  const h = state.itemHeight || virtualFallbackHeight;
+  oList.style.maxHeight = (settings.virtualRows * h) + 'px';
+
+  const viewRows = Math.ceil((oList.clientHeight || settings.virtualRows * h) / h);
+  let top = Math.floor(oList.scrollTop / h);
+  if (keepRow !== undefined && (keepRow < top || keepRow >= top + viewRows)) {
+    top = Math.max(0, keepRow - Math.floor(viewRows / 2));
+  }
+  const first = Math.max(0, top - settings.virtualOverscan);
+  const last = Math.min(state.rows.length, top + viewRows + settings.virtualOverscan);
+
+  // Nothing to do if the same rows are already there
+  if (state.range && state.range.first === first && state.range.last === last && state.range.h === h) return;
+  state.range = { first, last, h };
+
+  const spacer = (rowCount) => {
+    const li = document.createElement('li');
+    setAtt(li, 'class', 'fs-spacer');
+    setAtt(li, 'role', 'none');
+    li.style.height = (rowCount * h) + 'px';
+    return li;
+  };
+
+  const fragment = document.createDocumentFragment();
+  fragment.appendChild(spacer(first));
+
+  const selected = new Set(item.getSelectedIndices());
+  let groupList = null;
+  let currentGroup = -1;
+  for (let r = first; r < last; r += 1) {
+    const row = state.rows[r];
+
+    // Group label. Options of a group whose label is scrolled out of view still go into a group, with the label hidden.
+    const g = row.group !== undefined ? row.group : item.getGroupIndex(row.index);
+    if (g < 0) {
+      groupList = null;
+    } else if (g !== currentGroup) {
+      groupList = createOptionGroup(item.getGroups()[g], fragment);
+      const label = groupList.parentNode.querySelector('.fs-group-label');
+      label.style.height = h + 'px';
+      if (row.group === undefined) {
+        setAtt(label, 'hidden', 'hidden');
+      }
+    }
+    currentGroup = g;
+    if (row.group !== undefined) continue;
+
+    const opt = createOptionElement(item, oList, row.index);
+    opt.style.height = h + 'px';
+    setAtt(opt, 'aria-posinset', row.position);
+    setAtt(opt, 'aria-setsize', state.optionCount);
+    if (row.index === state.active) {
+      opt.classList.add('fs-focused');
+    }
+    setOptionSelected(opt, selected.has(row.index));
+    (groupList || fragment).appendChild(opt);
+  }
+
+  fragment.appendChild(spacer(state.rows.length - last));
+
+  while (oList.firstChild) {
+    oList.removeChild(oList.firstChild);
+  }
+  oList.appendChild(fragment);
+}
+
+
+/**
+ * Render the rows of a virtual options list on the next animation frame, once per frame at most.
+ * @param {FancySelect} item FancySelect object.
+ * @param {HTMLElement} oList Options list (.fs-options-list).
+ */
+const scheduleVirtualWindow = (item, oList) => {
+  const state = getListState(oList);
+  if (!state.virtual || state.frame !== null) return;
+
+  state.frame = requestAnimationFrame(() => {
+    state.frame = null;
+    renderVirtualWindow(item, oList);
+  });
+}
+
+
+/**
+ * Create a hidden status row for the options panel, e.g. "No results".
+ * @param {string} className Class name of the row
+ * @param {string} text Text of the row
+ * @returns {HTMLElement} Status row element.
+ */
+const createStatusRow = (className, text) => {
+  const row = document.createElement('div');
+  setAtt(row, 'class', className);
+  setAtt(row, 'part', 'status');
+  setAtt(row, 'role', 'status');
+  setAtt(row, 'hidden', 'hidden');
+  row.appendChild(document.createTextNode(text));
+  return row;
+}
+
+
+// Counter for generating unique ids for FancySelect objects, their elements and their labels.
+let instanceCount = 0;
+
+
+// Ids that labelFancySelect gave to <label> elements, by label. Destroying the Fancy Select removes them.
+const generatedLabelIds = new WeakMap();
+
+
+/**
+ * Label a Fancy Select DOM element the same way as its native <select> element:
+ * by the <label> elements associated with it, or its own aria-labelledby, aria-label or title attribute.
+ * @param {HTMLElement} target Element to label.
+ * @param {HTMLSelectElement} selectElement Native <select> element.
+ * @param {string} id Id of the Fancy Select, which ids given to labels start with.
+ */
+const labelFancySelect = (target, selectElement, id) => {
+  const labels = selectElement.labels ? Array.prototype.slice.call(selectElement.labels) : [];
+
+  if (labels.length > 0) {
+    const ids = labels.map((label, j) => {
+      if (!label.id) {
+        setAtt(label, 'id', id + '-label-' + j);
+        generatedLabelIds.set(label, label.id);
+      }
+      return label.id;
+    });
+    setAtt(target, 'aria-labelledby', ids.join(' '));
+  } else if (selectElement.hasAttribute('aria-labelledby')) {
+    setAtt(target, 'aria-labelledby', selectElement.getAttribute('aria-labelledby'));
+  } else if (selectElement.hasAttribute('aria-label') || selectElement.hasAttribute('title')) {
+    setAtt(target, 'aria-label', selectElement.getAttribute('aria-label') || selectElement.getAttribute('title'));
+  }
+}
+
+
+/**
+ * Remove the ids labelFancySelect gave to the <label> elements of a native <select> element.
+ * Ids the page gave them, or changed them to since, stay.
+ * @param {HTMLSelectElement} selectElement Native <select> element.
+ */
+const unlabelFancySelect = (selectElement) => {
+  const labels = selectElement.labels ? Array.prototype.slice.call(selectElement.labels) : [];
+  labels.forEach((label) => {
+    if (generatedLabelIds.has(label) && generatedLabelIds.get(label) === label.id) {
+      label.removeAttribute('id');
+    }
+    generatedLabelIds.delete(label);
+  });
+}
+
+
+/**
+ * Create a DOM element from a FancySelect object and place it next to its native <select> element.
+ * The native <select> element is hidden.
+ * @param {FancySelect} item FancySelect object.
+ * @param {HTMLSelectElement} selectElement Native <select> element the object was parsed from.
+ * @returns {HTMLElement} Fancy Select DOM element.
+ */
+const createFancySelect = (item, selectElement) => {
+  if (debugLevel > 1)
+    console.log('Creating Fancy Select', item);
+
+  const listId = item.getId() + '-listbox';
+
+  // CONTAINER
+  const container = document.createElement('div');
+  setAtt(container, 'class', 'fs-select'); // class
+  setAtt(container, 'part', 'select'); // For styling from outside the shadow root of a <fancy-select> element
+  setAtt(container, 'data-name', item.getName()) // data-name
+  setAtt(container, 'data-fs-id', item.getId());
+  // Data-width
+  setAtt(container, 'data-width', '7.5');
+  // Make tab-navigable
+  setAtt(container, 'tabindex', '0');
+  // Aria elements: the container is a select-only combobox controlling the options listbox
+  setAtt(container, 'role', 'combobox');
+  setAtt(container, 'aria-haspopup', 'listbox');
+  setAtt(container, 'aria-expanded', 'false');
+  setAtt(container, 'aria-controls', listId);
+  labelFancySelect(container, selectElement, item.getId());
+  if (item.isMultiple()) {
+    container.classList.add('fs-multiple');
+  }
+  setAtt(container, 'data-fs-theme', getThemeChain(item.getTheme()).join(' '));
+
+  // Per-instance class names
+  if (item.getSettings().className) {
+    container.className += ' ' + item.getSettings().className;
+  }
+
+  updateDisabledState(item, container);
+
+  // PLACEHOLDER
+  const ph = document.createElement('span');
+  setAtt(ph, 'class', 'fs-placeholder');
+  setAtt(ph, 'part', 'placeholder');
+
+  // Set placeholder value to what is selected
+  const phText = item.getText(item.getSelectedIndex());
+  const phTextNode = document.createTextNode(phText);
+
+  // Add text to placeholder
+  ph.appendChild(phTextNode);
+
+  // Add placeholder to container
+  container.appendChild(ph);
+
+  // Button that clears the selection. Keyboard users press Delete instead, so it isn't in the tab order.
+  if (item.getSettings().clearable) {
+    const clear = document.createElement('button');
+    setAtt(clear, 'type', 'button');
+    setAtt(clear, 'class', 'fs-clear');
+    setAtt(clear, 'part', 'clear');
+    setAtt(clear, 'tabindex', '-1');
+    setAtt(clear, 'aria-label', getMessage(item, 'clear'));
+    container.classList.add('fs-clearable');
+    container.appendChild(clear);
+  }
+
+
+  // OPTIONS LIST
+  const oWrapper = document.createElement('div'); // Wrapper
+  setAtt(oWrapper, 'class', 'fs-options');
+  setAtt(oWrapper, 'part', 'options');
+
+  // Search input for filtering the options
+  if (item.getSettings().search) {
+    const search = document.createElement('input');
+    setAtt(search, 'class', 'fs-search');
+    setAtt(search, 'part', 'search');
+    setAtt(search, 'type', 'text');
+    setAtt(search, 'tabindex', -1);
+    setAtt(search, 'autocomplete', 'off');
+    setAtt(search, 'placeholder', getMessage(item, 'search'));
+    setAtt(search, 'aria-label', getMessage(item, 'search'));
+    setAtt(search, 'aria-controls', listId);
+    setAtt(search, 'aria-autocomplete', 'list');
+    if (item.getSettings().creatable) {
+      setAtt(search, 'maxlength', item.getSettings().createMaxLength);
+    }
+    oWrapper.appendChild(search);
+  }
+
+  const oList = document.createElement('ul'); // UL
+  setAtt(oList, 'class', 'fs-options-list');
+  setAtt(oList, 'part', 'list');
+  setAtt(oList, 'id', listId);
+  setAtt(oList, 'role', 'listbox');
+  labelFancySelect(oList, selectElement, item.getId());
+  if (item.isMultiple()) {
+    setAtt(oList, 'aria-multiselectable', 'true');
+  }
+
+  renderOptions(item, oList);
+
+  oWrapper.appendChild(oList); // Add <ul> to wrapper
+
+  // Row for adding the option the user typed. It's an option of the listbox, although it's outside the list.
+  if (item.getSettings().creatable) {
+    const createRow = document.createElement('div');
+    setAtt(createRow, 'class', 'fs-create');
+    setAtt(createRow, 'part', 'create');
+    setAtt(createRow, 'id', listId + '-create');
+    setAtt(createRow, 'role', 'option');
+    setAtt(createRow, 'aria-selected', 'false');
+    setAtt(createRow, 'hidden', 'hidden');
+    setAtt(oList, 'aria-owns', createRow.id);
+    oWrapper.appendChild(createRow);
+  }
+
+  // Row shown when the search matches no options
+  if (item.getSettings().search) {
+    oWrapper.appendChild(createStatusRow('fs-no-results', getMessage(item, 'noResults')));
+  }
+
+  // Rows shown while options load from a data source, or when loading fails
+  if (item.getSettings().source) {
+    container.classList.add('fs-remote');
+    oWrapper.appendChild(createStatusRow('fs-loading', getMessage(item, 'loading')));
+    oWrapper.appendChild(createStatusRow('fs-error', getMessage(item, 'error')));
+  }
+
+  container.appendChild(oWrapper); // Add options list wrapper to container
+
+  // Message shown when the form is submitted with an invalid value, like the bubble of a native <select>
+  const validationMessage = document.createElement('div');
+  setAtt(validationMessage, 'class', 'fs-validation-message');
+  setAtt(validationMessage, 'part', 'validation-message');
+  setAtt(validationMessage, 'id', listId + '-validation');
+  setAtt(validationMessage, 'hidden', 'hidden');
+  setAtt(container, 'aria-describedby', validationMessage.id);
+  container.appendChild(validationMessage);
+
+  updateValidityState(container, selectElement);
+
+  // Add the created Fancy Select into its correct position and hide the native <select> element.
+  selectElement.parentElement.appendChild(container);
+  selectElement.style.display = 'none';
+
+  return container;
+}
+
+
+/**
+ * Take over Fancy Select markup that is already next to a native <select> element, e.g. from
+ * FancySelect.renderToString, instead of creating it. The markup is updated where the browser knows better
+ * than the server: labels, the theme, and the selection of a form the browser restored.
+ * @param {FancySelect} item FancySelect object.
+ * @param {HTMLSelectElement} selectElement Native <select> element the object was parsed from.
+ * @returns {HTMLElement} Fancy Select DOM element, or null if there is no markup to take over.
+ */
+const hydrateFancySelect = (item, selectElement) => {
+  // The markup of this <select> element, and not of another one with the same name in the same parent
+  const container = Array.prototype.filter.call(selectElement.parentElement.children, child => child.classList.contains('fs-select')
+    && child.getAttribute('data-name') === item.getName() && !child.hasAttribute('data-fs-id'))[0];
+  if (!container || container.querySelector('.fs-options-list') === null) return null;
+
+  if (debugLevel > 1)
+    console.log('Hydrating Fancy Select', item, container);
+
+  setAtt(container, 'data-fs-id', item.getId());
+  labelFancySelect(container, selectElement, item.getId());
+  labelFancySelect(container.querySelector('.fs-options-list'), selectElement, item.getId());
+  setAtt(container, 'data-fs-theme', getThemeChain(item.getTheme()).join(' '));
+  updateDisabledState(item, container);
+
+  // The server leaves virtual lists empty. Other lists are rebuilt only if the options differ from the markup.
+  const oList = container.querySelector('.fs-options-list');
+  const rendered = oList.querySelectorAll('li[role="option"]');
+  const options = item.getOptions();
+  const matches = rendered.length === options.length && Array.prototype.every.call(rendered, (li, j) => li.getAttribute('data-value') === options[j]);
+  if (isVirtual(item) || !matches) {
+    renderOptions(item, oList);
+  }
+
+  updateValidityState(container, selectElement);
+  selectElement.style.display = 'none';
+
+  return container;
+}
+
+
+/**
+ * Update a Fancy Select DOM element to match the disabled and read-only states of its object.
+ * @param {FancySelect} item Fancy Select object.
+ * @param {HTMLElement} element Fancy Select DOM element.
+ */
+const updateDisabledState = (item, element) => {
+  if (item.isDisabled()) {
+    element.classList.add('fs-disabled');
+    setAtt(element, 'aria-disabled', 'true');
+    element.removeAttribute('tabindex');
+  } else {
+    element.classList.remove('fs-disabled');
+    element.removeAttribute('aria-disabled');
+    setAtt(element, 'tabindex', '0');
+  }
+
+  if (item.isReadOnly()) {
+    element.classList.add('fs-readonly');
+    setAtt(element, 'aria-readonly', 'true');
+  } else {
+    element.classList.remove('fs-readonly');
+    element.removeAttribute('aria-readonly');
+  }
+}
+
+
+/**
+ * Mirror the required state and validity of a native <select> element onto its Fancy Select DOM element.
+ * Like browsers do with native elements, the element is only marked invalid once the <select> element has
+ * been validated, e.g. when its form was submitted. From then on it follows the value until the form is reset.
+ * @param {HTMLElement} element Fancy Select DOM element.
+ * @param {HTMLSelectElement} selectElement Native <select> element.
+ * @param {boolean} [validated] True when the <select> element was just validated, false when it was reset.
+ */
+const updateValidityState = (element, selectElement, validated) => {
+  if (selectElement.required) {
+    setAtt(element, 'aria-required', 'true');
+  } else {
+    element.removeAttribute('aria-required');
+  }
+
+  if (validated !== undefined) {
+    element.classList.toggle('fs-validated', validated);
+  }
+
+  const invalid = element.classList.contains('fs-validated') && !selectElement.validity.valid;
+  const message = element.querySelector('.fs-validation-message');
+  element.classList.toggle('fs-invalid', invalid);
+  if (invalid) {
+    setAtt(element, 'aria-invalid', 'true');
+    message.textContent = selectElement.validationMessage;
+    message.hidden = false;
+  } else {
+    element.removeAttribute('aria-invalid');
+    message.textContent = '';
+    message.hidden = true;
+  }
+}
+
+
+// Counter for generating unique ids for option group labels.
+let groupCount = 0;
+
+
+/**
+ * Create a group of options with a label. The label can't be focused or selected.
+ * @param {Object} group Group data: label, disabled state and option indices.
+ * @param {HTMLElement} oList Options list the group is added to.
+ * @returns {HTMLElement} List element the group's options go into.
+ */
+const createOptionGroup = (group, oList) => {
+  groupCount += 1;
+  const labelId = 'fs-group-' + groupCount;
+
+  const groupElement = document.createElement('li');
+  setAtt(groupElement, 'class', 'fs-group');
+  setAtt(groupElement, 'part', 'group');
+  setAtt(groupElement, 'role', 'group');
+  setAtt(groupElement, 'aria-labelledby', labelId);
+  if (group.disabled) {
+    setAtt(groupElement, 'aria-disabled', 'true');
+  }
+
+  const label = document.createElement('span');
+  setAtt(label, 'class', 'fs-group-label');
+  setAtt(label, 'part', 'group-label');
+  setAtt(label, 'id', labelId);
+  setAtt(label, 'role', 'presentation');
+  label.appendChild(document.createTextNode(group.label));
+
+  const groupList = document.createElement('ul');
+  setAtt(groupList, 'class', 'fs-group-options');
+  setAtt(groupList, 'role', 'none');
+
+  groupElement.appendChild(label);
+  groupElement.appendChild(groupList);
+  oList.appendChild(groupElement);
+
+  return groupList;
+}
+
+
+/**
+ * Handle what happens when the user selects a dropdown value.
+ * @param {*} event Click or keydown event
+ * @param {FancySelect} item The Fancy Select object whose option was clicked.
+ * @param {*} element The Fancy Select DOM element whose option was clicked.
+ * @param {HTMLElement} [optionElement] Option to select. Defaults to the option the event targeted.
+ */
+function handleSelect(event, item, element, optionElement) {
+  // Get the newly clicked value. Disabled options can't be selected.
+  let option = optionElement || getClosest(event.target, '[role="option"]');
+  if (!option || item.isDisabled() || item.isReadOnly()) return;
+
+  // The "Create" row adds its option first
+  if (option.classList.contains('fs-create')) {
+    option = getListState(element.querySelector('.fs-options-list')).creator.create();
+  }
+  if (!option || option.getAttribute('aria-disabled') === 'true') return;
+
+  // Select the option by its index, as several options may have the same value.
+  // Listeners may veto or redirect the selection.
+  item.select(getOptionIndex(option));
+
+  // Update the native <select> element's selected value.
+  updateSelectElements({ select: item.getSelectElement(), index: item.getSelectedIndex() });
+
+  if (item.getSettings().closeOnSelect) {
+    closeFancySelect(item, element, true);
+  } else {
+    setActiveOption(item, element, getOptionIndex(option));
+  }
+
+  // Update Fancy Select placeholders
+  if (debugLevel > 1)
+    console.log('Updating placeholder text for', element);
+  updatePlaceholder(item, element);
+
+  return;
+}
+
+
+/**
+ * Handle what happens when the user toggles an option of a Fancy Select in multiple mode.
+ * - Click, Ctrl-click, Enter and Space toggle the option
+ * - Shift-click and Shift-Space select every option between the previously toggled option and this one
+ * The Fancy Select stays open either way.
+ * @param {*} event Click or keydown event
+ * @param {FancySelect} item The Fancy Select object whose option was toggled.
+ * @param {*} element The Fancy Select DOM element whose option was toggled.
+ * @param {HTMLElement} [optionElement] Option to toggle. Defaults to the option the event targeted.
+ */
+function handleToggle(event, item, element, optionElement) {
+  let option = optionElement || getClosest(event.target, '[role="option"]');
+  if (option && option.classList.contains('fs-create') && !item.isDisabled() && !item.isReadOnly()) {
+    option = getListState(element.querySelector('.fs-options-list')).creator.create();
+  }
+  const index = option ? getOptionIndex(option) : -1;
+  if (index < 0 || item.isOptionDisabled(index) || item.isDisabled() || item.isReadOnly()) return;
+
+  setActiveOption(item, element, index);
+
+  const anchor = parseInt(element.getAttribute('data-anchor'), 10);
+  if (event.shiftKey && !isNaN(anchor)) {
+    item.selectRange(anchor, index);
+  } else {
+    item.toggle(index);
+    setAtt(element, 'data-anchor', index);
+  }
+
+  // Update the native <select> element's selected values.
+  updateSelectElements({ select: item.getSelectElement(), indices: item.getSelectedIndices() });
+
+  updatePlaceholder(item, element);
+}
+
+
+// <select> elements whose input and change events Fancy Select is dispatching. Their Fancy Selects are up to date already.
+const updatingSelects = new WeakSet();
+
+
+/**
+ * Update <select> elements.
+ * Elements whose selection changed receive input and change events, just like when the user changes them.
+ * Only the selectedness of the options changes, not their selected attributes, so that resetting the form
+ * restores the options that were selected when the page loaded.
+ * @param {Array} items <select> elements (select) and their selected indices that were updated.
+ * Each item has either an index, or an array of indices for elements in multiple mode.
+ */
+const updateSelectElements = (items) => {
+  if (!(items instanceof Array)) {
+    items = [items];
+  }
+
+  for (let i of items) {
+    const n = i.select;
+    const selectedIndices = i.indices || [i.index];
+    const options = n.getElementsByTagName('option');
+    const previousSelection = Array.prototype.map.call(options, o => o.selected).join();
+
+    for (let j = 0; j < options.length; j += 1) {
+      if (selectedIndices.indexOf(j) > -1) {
+        // Set new option as selected
+        setAtt(options[j], 'aria-selected', 'true');
+        options[j].selected = true;
+      } else {
+        // Deselect old option
+        options[j].removeAttribute('aria-selected');
+        options[j].selected = false;
+      }
+    }
+
+    // Let other scripts know the value changed
+    if (Array.prototype.map.call(options, o => o.selected).join() !== previousSelection) {
+      updatingSelects.add(n);
+      try {
+        n.dispatchEvent(new Event('input', { bubbles: true }));
+        n.dispatchEvent(new Event('change', { bubbles: true }));
+      } finally {
+        updatingSelects.delete(n);
+      }
+    }
+  }
+}
+
+
+/**
+ * Update a FancySelect object and its DOM element from the current state of its native <select> element.
+ * The options list is only rebuilt if the options themselves changed.
+ * @param {FancySelect} item Fancy Select object.
+ * @param {HTMLElement} element Fancy Select DOM element.
+ * @param {HTMLSelectElement} selectElement Native <select> element.
+ */
+const syncFromSelectElement = (item, element, selectElement) => {
+  // Options added since are sorted in
+  if (item.getSettings().sort) {
+    sortSelectOptions(item, selectElement);
+  }
+
+  const data = parseOptions(selectElement);
+  if (data === null) return;
+
+  const optionsChanged = JSON.stringify([data.options, data.texts, data.groups, data.disabledOptions, data.meta])
+    !== JSON.stringify([item.getOptions(), item.getTexts(), item.getGroups(), item.getDisabledOptions(), item.getMeta()]);
+
+  item.setData(data);
+
+  if (optionsChanged) {
+    if (debugLevel > 1)
+      console.log('Options changed, rebuilding', element);
+
+    // Keep the active option where it was
+    const oList = element.querySelector('.fs-options-list');
+    const activeIndex = getListState(oList).active;
+
+    // The option a Shift-click range starts from may be gone, or be another option now
+    element.removeAttribute('data-anchor');
+
+    renderOptions(item, oList);
+
+    // Keep the current search applied. A data source has already filtered its options.
+    const search = element.querySelector('.fs-search');
+    if (search && !item.getSettings().source) {
+      filterOptions(item, element, search.value);
+    }
+
+    if (item.getOpenState()) {
+      const navigable = getNavigableIndices(item, element);
+      setActiveOption(item, element, navigable.indexOf(activeIndex) > -1 ? activeIndex : (navigable.length > 0 ? navigable[0] : -1));
+    }
+
+    if (item.getSettings().autoSize) {
+      initializeSelectSizes([element], [item]);
+    }
+  }
+
+  updatePlaceholder(item, element);
+  updateValidityState(element, selectElement);
+  updateDirection(element, selectElement);
+}
+
+
+/**
+ * Get the placeholder text of a Fancy Select in multiple mode that summarizes what is selected.
+ * @param {FancySelect} obj Fancy Select object.
+ * @param {Array} indices Selected indices.
+ * @returns {string} Summary, e.g. "3 selected", in the locale of the element.
+ */
+const getSelectionSummary = (obj, indices) => {
+  if (indices.length === 0) return getMessage(obj, 'noneSelected');
+  if (indices.length === 1) return obj.getText(indices[0]);
+  return getMessage(obj, 'selected', { count: indices.length });
+}
+
+
+/**
+ * Check if a Fancy Select has nothing selected, or only an option with an empty value like "Please choose".
+ * @param {FancySelect} obj Fancy Select object.
+ * @returns {boolean} Whether the selection is empty.
+ */
+const isSelectionEmpty = obj => obj.getSelectedIndices().every(j => obj.getOptions()[j] === '');
+
+
+/**
+ * Check if the selection of a Fancy Select can be cleared. Single elements are cleared to an option with an empty
+ * value, e.g. "Choose…", so elements without one can't be.
+ * @param {FancySelect} obj Fancy Select object.
+ * @returns {boolean} Whether the clearable option is set and there is a selection to clear.
+ */
+const canClearSelection = obj => obj.getSettings().clearable && !isSelectionEmpty(obj)
+  && (obj.isMultiple() || obj.getOptions().some((value, j) => value === '' && !obj.isOptionDisabled(j)));
+
+
+/**
+ * Clear the selection of a Fancy Select: deselect all options in multiple mode, or select the option with an
+ * empty value in single mode. The change goes to the native <select> element like any other.
+ * @param {FancySelect} obj Fancy Select object.
+ */
+const clearSelection = (obj) => {
+  if (obj.isDisabled() || obj.isReadOnly() || !canClearSelection(obj)) return;
+  obj.setValue(obj.isMultiple() ? [] : '');
+}
+
+
+/**
+ * Update Fancy Select placeholder text with what the data object has selected.
+ * In multiple mode the placeholder shows a summary or a chip for each selected option, depending on the multipleDisplay option.
+ * @param {Object} obj Fancy Select object with new values.
+ * @param {Object} element Fancy Select DOM element that needs to be updated.
+ */
+const updatePlaceholder = (obj, element) => {
+  const placeholder = element.querySelector('.fs-placeholder');
+
+  if (obj.isMultiple()) {
+    const indices = obj.getSelectedIndices();
+
+    // Rebuild placeholder contents
+    while (placeholder.firstChild) {
+      placeholder.removeChild(placeholder.firstChild);
+    }
+
+    if (obj.getSettings().multipleDisplay === 'chips' && indices.length > 0) {
+      for (let j = 0; j < indices.length; j += 1) {
+        const chip = document.createElement('span');
+        setAtt(chip, 'class', 'fs-chip');
+        setAtt(chip, 'part', 'chip');
+        writeOptionContent(obj, chip, indices[j], 'chip', '');
+        placeholder.appendChild(chip);
+      }
+    } else {
+      placeholder.appendChild(document.createTextNode(getSelectionSummary(obj, indices)));
+    }
+  } else {
+    // Update placeholder with the selected option. Built from DOM nodes, so option texts can't inject markup.
+    const index = obj.getSelectedIndex();
+    if (index === undefined || index < 0) {
+      while (placeholder.firstChild) {
+        placeholder.removeChild(placeholder.firstChild);
+      }
+    } else {
+      writeOptionContent(obj, placeholder, index, 'placeholder', '');
+    }
+  }
+
+  element.classList.toggle('fs-empty', isSelectionEmpty(obj));
+
+  const clear = element.querySelector('.fs-clear');
+  if (clear) {
+    clear.hidden = !canClearSelection(obj);
+  }
+
+  // Update selected state on the <li> elements that are currently selected
+  var selected = new Set(obj.getSelectedIndices());
+  var listElements = element.querySelectorAll('.fs-options .fs-options-list li[role="option"]');
+  for (var j = 0; j < listElements.length; j += 1) {
+    setOptionSelected(listElements[j], selected.has(getOptionIndex(listElements[j])));
+  }
+}
+
+
+// Canvas context for measuring text. Undefined until first needed, null if the browser can't measure text.
+let measureContext;
+
+
+/**
+ * Get the font of an element in the format the canvas font property takes.
+ * @param {HTMLElement} element Element whose computed font to use.
+ * @returns {string} Font.
+ */
+const getFont = (element) => {
+  const style = window.getComputedStyle(element);
+  return [style.fontStyle, style.fontWeight, style.fontSize, style.fontFamily].join(' ');
+}
+
+
+/**
+ * Measure the width of the widest of some texts as they render in a font.
+ * Works with proportional fonts, and with CJK text and emoji that come from fallback fonts.
+ * @param {Array} texts Texts to measure
+ * @param {string} font Font, see getFont
+ * @returns {number} Width in pixels, or 0 if text can't be measured.
+ */
+const measureTextWidth = (texts, font) => {
+  if (measureContext === undefined) {
+    const canvas = document.createElement('canvas');
+    measureContext = typeof canvas.getContext === 'function' ? canvas.getContext('2d') : null;
+  }
+  if (!measureContext) return 0;
+
+  measureContext.font = font;
+  let width = 0;
+  for (let j = 0; j < texts.length; j += 1) {
+    width = Math.max(width, measureContext.measureText(String(texts[j])).width);
+  }
+  return width;
+}
+
+
+/**
+ * Get the horizontal padding of an element.
+ * @param {HTMLElement} element Element to measure.
+ * @returns {number} Left and right padding in pixels.
+ */
+const getHorizontalPadding = (element) => {
+  const style = window.getComputedStyle(element);
+  return (parseFloat(style.paddingLeft) || 0) + (parseFloat(style.paddingRight) || 0);
+}
+
+
+/**
+ * Size Fancy Select DOM elements from their rendered contents.
+ * - Width fits the widest option text, measured in the font of the options and of the placeholder
+ * - Height of the open background (the ::before element) fits the options panel as it's laid out.
+ *   The scale is passed to CSS in the --fs-open-scale custom property.
+ * Elements that aren't laid out, e.g. ones inside a hidden parent, keep their current size.
+ * @param {Array} elements Array of Fancy Select DOM elements.
+ * @param {Array} items Array of the FancySelect objects of the elements, in the same order.
+ */
+const initializeSelectSizes = (elements, items) => {
+  for (let i = 0; i < elements.length; i += 1) {
+    const current = elements[i];
+    const texts = items[i].getTexts();
+    const placeholder = current.querySelector('.fs-placeholder');
+
+    // The placeholder of a multiple select may show a summary instead, which is longer in some languages
+    const placeholderTexts = items[i].isMultiple()
+      ? texts.concat(getSelectionSummary(items[i], []), getSelectionSummary(items[i], texts.map((text, j) => j)))
+      : texts;
+
+    // WIDTH
+    // The texts come from the object, as a virtual list doesn't have an element for every option.
+    const option = current.querySelector('.fs-options-list li[role="option"]');
+    let width = measureTextWidth(placeholderTexts, getFont(placeholder)) + getHorizontalPadding(placeholder);
+    if (option) {
+      width = Math.max(width, measureTextWidth(texts, getFont(option)) + getHorizontalPadding(option));
+    }
+    if (width > 0) {
+      current.style.width = Math.ceil(width) + 'px';
+    }
+
+    // HEIGHT
+    // Scale the ::before element from the height of the closed element to the height of the options panel
+    const closedHeight = current.offsetHeight;
+    const openHeight = current.querySelector('.fs-options').offsetHeight;
+    if (closedHeight > 0 && openHeight > 0) {
+      current.style.setProperty('--fs-open-scale', openHeight / closedHeight);
+    }
+
+    if (debugLevel > 0)
+      console.log(`Initialized size of ${i + 1} Fancy Select elements.`)
+  }
+}
+
+
+/**
+ * Remove the sizes initializeSelectSizes set for a Fancy Select DOM element.
+ * @param {HTMLElement} element Fancy Select DOM element.
+ */
+const removeSelectSizes = (element) => {
+  element.style.width = '';
+  element.style.removeProperty('--fs-open-scale');
+}
+
+
+/**
+ * Flip the options panel of an open Fancy Select so that it fits the viewport.
+ * The panel opens centered on the element. If that overflows the top or the bottom of the viewport,
+ * it opens downwards from the element's top (fs-flip-down) or upwards from its bottom (fs-flip-up) instead,
+ * whichever has more room.
+ * @param {HTMLElement} element Fancy Select DOM element.
+ */
+const positionOptions = (element) => {
+  element.classList.remove('fs-flip-up', 'fs-flip-down');
+
+  const rect = element.getBoundingClientRect();
+  const panelHeight = element.querySelector('.fs-options').offsetHeight;
+  const viewportHeight = window.innerHeight || document.documentElement.clientHeight;
+  if (panelHeight === 0 || viewportHeight === 0) return;
+
+  const center = rect.top + (rect.height / 2);
+  if (center - (panelHeight / 2) >= 0 && center + (panelHeight / 2) <= viewportHeight) return;
+
+  const roomBelow = viewportHeight - rect.top;
+  const roomAbove = rect.bottom;
+  element.classList.add(roomBelow >= panelHeight || roomBelow >= roomAbove ? 'fs-flip-down' : 'fs-flip-up');
+}
+
+
+/**
+ * Keep the size of a Fancy Select DOM element up to date, and the position of its options panel while it's open.
+ * Sizes are measured again when the options panel changes size (e.g. options change or the viewport
+ * changes its layout) and when fonts finish loading. The panel of an open element is positioned again when
+ * the viewport is resized or scrolled. Closed elements don't follow the viewport, as measuring every option text
+ * on each scroll would be slow.
+ * @param {FancySelect} item FancySelect object.
+ * @param {HTMLElement} element Fancy Select DOM element.
+ * @param {function} listen Function (target, type, handler) that adds an event listener that is removed on destroy.
+ * @returns {function} Function that stops observing.
+ */
+const observeSelectSize = (item, element, listen) => {
+  let frame = null;
+  let measure = false;
+
+  // Measure and position once per frame at most, which also keeps the ResizeObserver from looping
+  const schedule = () => {
+    if (frame !== null) return;
+    frame = requestAnimationFrame(() => {
+      frame = null;
+      if (measure && item.getSettings().autoSize) {
+        initializeSelectSizes([element], [item]);
+      }
+      measure = false;
+      if (item.getOpenState()) {
+        positionOptions(element);
+      }
+    });
+  };
+
+  const update = () => {
+    measure = true;
+    schedule();
+  };
+
+  // Scrolling and resizing the viewport only move the panel of an open element
+  const reposition = () => {
+    if (item.getOpenState()) schedule();
+  };
+
+  const resizeObserver = typeof ResizeObserver === 'function' ? new ResizeObserver(update) : null;
+  if (resizeObserver) {
+    resizeObserver.observe(element.querySelector('.fs-options'));
+  }
+  if (document.fonts && typeof document.fonts.addEventListener === 'function') {
+    listen(document.fonts, 'loadingdone', update);
+  }
+  listen(window, 'resize', reposition);
+  listen(window, 'scroll', reposition);
+  item.on('open', reposition);
+
+  return () => {
+    if (resizeObserver) resizeObserver.disconnect();
+    if (frame !== null) cancelAnimationFrame(frame);
+    item.off('open', reposition);
+  };
+}
+
+
+/**
+ * Check if the user asked their system for less motion.
+ * @returns {boolean} Whether animations should be left out.
+ */
+const prefersReducedMotion = () => typeof window.matchMedia === 'function'
+  && window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+
+
+/**
+ * Parse a CSS time, e.g. '250ms' or '0.25s'.
+ * @param {string} value CSS time
+ * @returns {number} Time in milliseconds, or 0 if the value isn't a time.
+ */
+const parseTime = (value) => {
+  const time = parseFloat(value);
+  if (isNaN(time)) return 0;
+  return /ms\s*$/.test(value) ? time : time * 1000;
+}
+
+
+/**
+ * Apply the animation options of a Fancy Select to its DOM element. Times and the easing become CSS custom
+ * properties, so that they also reach its bottom sheet, and the preset becomes an fs-animation-* class.
+ * Options that aren't set leave the theme's values.
+ * @param {FancySelect} item Fancy Select object.
+ * @param {HTMLElement} element Fancy Select DOM element.
+ */
+const updateAnimationStyles = (item, element) => {
+  const settings = item.getSettings();
+  const times = { duration: ['--fs-duration', '--fs-placeholder-duration'], stagger: ['--fs-stagger'], maxStagger: ['--fs-max-stagger'] };
+
+  Object.keys(times).forEach((key) => {
+    if (typeof settings[key] === 'number') {
+      times[key].forEach(property => element.style.setProperty(property, settings[key] + 'ms'));
+    }
+  });
+  if (settings.easing) {
+    element.style.setProperty('--fs-ease', settings.easing);
+  }
+
+  ['slide', 'fade', 'none'].forEach((preset) => {
+    element.classList.toggle('fs-animation-' + preset, settings.animation === preset && preset !== 'slide');
+  });
+}
+
+
+/**
+ * Get the animation times of a Fancy Select from its styles. All are 0 if it doesn't animate.
+ * @param {FancySelect} item Fancy Select object.
+ * @param {HTMLElement} element Fancy Select DOM element.
+ * @returns {Object} Duration of opening and closing, duration of the placeholder animation, the delay between
+ * options and the longest delay, in milliseconds.
+ */
+const getAnimationTimes = (item, element) => {
+  if (item.getSettings().animation === 'none' || prefersReducedMotion()) {
+    return { duration: 0, placeholderDuration: 0, stagger: 0, maxStagger: 0 };
+  }
+
+  const style = window.getComputedStyle(element);
+  return {
+    duration: parseTime(style.getPropertyValue('--fs-duration')),
+    placeholderDuration: parseTime(style.getPropertyValue('--fs-placeholder-duration')),
+    stagger: parseTime(style.getPropertyValue('--fs-stagger')),
+    maxStagger: parseTime(style.getPropertyValue('--fs-max-stagger')),
+  };
+}
+
+
+/**
+ * Give the options of a Fancy Select their animation delays, so that they animate in one after another.
+ * The delays grow by the stagger time per row up to the longest delay, however many options there are.
+ * @param {HTMLElement} element Fancy Select DOM element.
+ * @param {Object} times Animation times, see getAnimationTimes.
+ * @returns {number} Longest delay in milliseconds.
+ */
+const staggerOptions = (element, times) => {
+  const rows = Array.prototype.filter.call(element.querySelectorAll('.fs-options-list li'), li => !li.classList.contains('fs-spacer'));
+
+  let longest = 0;
+  for (let j = 0; j < rows.length; j += 1) {
+    const delay = Math.min((j + 1) * times.stagger, times.maxStagger);
+    rows[j].style.setProperty('--fs-delay', delay + 'ms');
+    longest = Math.max(longest, delay);
+  }
+  return longest;
+}
+
+
+/**
+ * Animate the options of a Fancy Select in one after another when it opens, and emit afteropen and afterclose
+ * events once opening or closing has finished. closeFancySelect moves focus back only after afterclose.
+ * An event isn't emitted if the element opens or closes again before the animation finishes.
+ * @param {FancySelect} item Fancy Select object.
+ * @param {HTMLElement} element Fancy Select DOM element.
+ * @returns {function} Function that stops animating the element.
+ */
+const animateSelect = (item, element) => {
+  let timer = null;
+  const after = (type, time) => {
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      timer = null;
+      item.emit(type, {});
+    }, time);
+  };
+
+  const open = () => {
+    const times = getAnimationTimes(item, element);
+    const delay = staggerOptions(element, times);
+    after('afteropen', Math.max(times.duration + delay, times.placeholderDuration));
+  };
+  const close = () => {
+    const times = getAnimationTimes(item, element);
+    after('afterclose', Math.max(times.duration, times.placeholderDuration));
+  };
+  item.on('open', open);
+  item.on('close', close);
+
+  return () => {
+    clearTimeout(timer);
+    item.off('open', open);
+    item.off('close', close);
+  };
+}
+
+
+/**
+ * Open a Fancy Select, make its selected option the active one and close all other Fancy Selects.
+ * If the Fancy Select has a search input, it receives focus.
+ * @param {FancySelect} item The Fancy Select object to open.
+ * @param {*} element The Fancy Select DOM element to open.
+ * @param {Array} fsObjects Array of all Fancy Select objects.
+ */
+const openFancySelect = (item, element, fsObjects) => {
+  if (item.isDisabled() || item.isReadOnly()) return;
+  item.open();
+  positionOptions(element);
+
+  // Start with a fresh search
+  const search = element.querySelector('.fs-search');
+  if (search) {
+    search.value = '';
+    filterOptions(item, element, '');
+  }
+
+  // Start from the selected option, or the first option that can be navigated to
+  const navigable = getNavigableIndices(item, element);
+  const selected = item.getSelectedIndex();
+  setActiveOption(item, element, navigable.indexOf(selected) > -1 ? selected : (navigable.length > 0 ? navigable[0] : -1));
+
+  // Let the user type into the search right away. Remove tabindex from parent so that Shift+Tab leaves the Fancy Select.
+  if (search) {
+    setAtt(element, 'tabindex', -1);
+    search.focus();
+  }
+
+  // Close other Fancy Selects.
+  for (let i = 0; i < fsObjects.length; i += 1) {
+    if (fsObjects[i] !== item) {
+      fsObjects[i].close();
+    }
+  }
+}
+
+
+/**
+ * Close a Fancy Select.
+ * @param {FancySelect} item The Fancy Select object to close.
+ * @param {*} element The Fancy Select DOM element to close.
+ * @param {boolean} restoreFocus Move focus back to the Fancy Select element if it was within it, e.g. in the search input.
+ * If the element animates, focus moves once it has closed (afterclose), unless it moved elsewhere or the element opened again.
+ */
+const closeFancySelect = (item, element, restoreFocus) => {
+  const hadFocus = element.contains(getActiveElement(element));
+  const times = getAnimationTimes(item, element);
+
+  item.close();
+  setActiveOption(item, element, -1);
+
+  if (!item.isDisabled()) {
+    setAtt(element, 'tabindex', '0');
+  }
+  if (!restoreFocus || !hadFocus || getActiveElement(element) === element) return;
+
+  if (Math.max(times.duration, times.placeholderDuration) === 0) {
+    element.focus();
+    return;
+  }
+  // Reopening before the animation ends cancels the focus move, as the animation never ends then
+  const restore = () => {
+    item.off('afterclose', restore);
+    item.off('open', restore);
+    if (!item.getOpenState() && element.contains(getActiveElement(element))) {
+      element.focus();
+    }
+  };
+  item.on('afterclose', restore);
+  item.on('open', restore);
+}
+
+
+/**
+ * Mark an option as the active one: the one keyboard navigation is on.
+ * Focus stays on the Fancy Select element, which points to the active option with aria-activedescendant.
+ * @param {FancySelect} item The Fancy Select object.
+ * @param {*} element The Fancy Select DOM element.
+ * @param {number} index Option index, or -1 to clear the active option.
+ */
+const setActiveOption = (item, element, index) => {
+  const oList = element.querySelector('.fs-options-list');
+  const state = getListState(oList);
+  const previous = element.querySelector('.fs-options .fs-focused');
+  if (previous) {
+    previous.classList.remove('fs-focused');
+    updateOptionPart(previous);
+  }
+
+  const search = element.querySelector('.fs-search');
+  const option = index > -1 ? getOptionElement(item, element, index) : null;
+  if (!option) {
+    state.active = -1;
+    element.removeAttribute('aria-activedescendant');
+    if (search) search.removeAttribute('aria-activedescendant');
+    return;
+  }
+
+  state.active = index;
+  option.classList.add('fs-focused');
+  updateOptionPart(option);
+  setAtt(element, 'aria-activedescendant', option.id);
+  if (search) setAtt(search, 'aria-activedescendant', option.id);
+
+  if (state.virtual && state.rowOf[index] !== undefined) {
+    // Scroll the row into view. The scroll event renders the rows around it.
+    const h = state.range.h;
+    const viewHeight = oList.clientHeight || item.getSettings().virtualRows * h;
+    const top = state.rowOf[index] * h;
+    if (top < oList.scrollTop) {
+      oList.scrollTop = top;
+    } else if (top + h > oList.scrollTop + viewHeight) {
+      oList.scrollTop = top + h - viewHeight;
+    }
+  } else if (typeof option.scrollIntoView === 'function') {
+    option.scrollIntoView({ block: 'nearest' });
+  }
+}
+
+
+// How many options PageUp and PageDown move by
+const pageSize = 10;
+
+// How long typed characters are remembered for typeahead, in milliseconds
+const typeaheadTimeout = 500;
+
+// Characters typed so far into each Fancy Select element, and when they expire
+const typeaheadBuffers = new WeakMap();
+
+
+/**
+ * Jump to the next option that starts with the characters the user has typed.
+ * Typing the same character repeatedly cycles through the options that start with it.
+ * @param {string} char Character that was typed
+ * @param {FancySelect} item The Fancy Select object.
+ * @param {*} element The Fancy Select DOM element.
+ * @returns {number} Index of the matching option, or -1 if nothing matched.
+ */
+const typeahead = (char, item, element) => {
+  const state = typeaheadBuffers.get(element) || { buffer: '', timer: null };
+  clearTimeout(state.timer);
+  state.buffer += normalizeSearchText(char).text;
+  state.timer = setTimeout(() => typeaheadBuffers.delete(element), typeaheadTimeout);
+  typeaheadBuffers.set(element, state);
+
+  const navigable = getNavigableIndices(item, element);
+  const activeIndex = navigable.indexOf(getListState(element.querySelector('.fs-options-list')).active);
+
+  // A repeated single character cycles, otherwise keep matching from the active option
+  const repeated = state.buffer.split('').every(c => c === state.buffer[0]);
+  const query = repeated ? state.buffer[0] : state.buffer;
+  const start = repeated || activeIndex < 0 ? activeIndex + 1 : activeIndex;
+
+  for (let k = 0; k < navigable.length; k += 1) {
+    const index = navigable[(start + k) % navigable.length];
+    if (normalizeSearchText(item.getText(index)).text.indexOf(query) === 0) {
+      return index;
+    }
+  }
+  return -1;
+}
+
+
+/**
+ * Handle the keyboard on a Fancy Select element, following the select-only combobox pattern of the
+ * WAI-ARIA Authoring Practices. Focus stays on the Fancy Select element (or its search input) and
+ * the active option is tracked with aria-activedescendant.
+ * @param {*} event Keydown event
+ * @param {FancySelect} item The Fancy Select object that has focus.
+ * @param {*} element The Fancy Select DOM element that has focus.
+ * @param {Array} fsObjects Array of all Fancy Select objects.
+ */
+function handleKeydown(event, item, element, fsObjects) {
+  if (item.isDisabled() || item.isReadOnly()) return;
+
+  const active = getListState(element.querySelector('.fs-options-list')).active;
+  const j = getNavigableIndices(item, element).indexOf(active);
+  const inSearch = event.target.classList.contains('fs-search');
+  const isOpen = item.getOpenState();
+  const typing = typeaheadBuffers.has(element);
+
+  // Select or toggle the active option, depending on the mode
+  const choose = () => {
+    const option = active > -1 ? getOptionElement(item, element, active) : null;
+    if (!option) return;
+    if (item.isMultiple()) {
+      handleToggle(event, item, element, option);
+    } else {
+      handleSelect(event, item, element, option);
+    }
+  };
+
+  // Move the active option to a position among the navigable options, opening the Fancy Select first if needed
+  const moveTo = (position) => {
+    if (!isOpen) openFancySelect(item, element, fsObjects);
+    const navigable = getNavigableIndices(item, element);
+    if (position === null || navigable.length === 0) return;
+    setActiveOption(item, element, navigable[Math.min(Math.max(position, 0), navigable.length - 1)]);
+  };
+
+  switch (event.keyCode) {
+    case 38: // Up
+      event.preventDefault();
+      if (isOpen && event.altKey) {
+        // Alt+Up chooses the active option and closes
+        if (!item.isMultiple()) choose();
+        closeFancySelect(item, element, true);
+      } else {
+        moveTo(isOpen ? j - 1 : 0);
+      }
+      break;
+    case 40: // Down
+      event.preventDefault();
+      moveTo(isOpen && !event.altKey ? j + 1 : null);
+      break;
+    case 33: // PageUp
+      if (!isOpen) break;
+      event.preventDefault();
+      moveTo(j - pageSize);
+      break;
+    case 34: // PageDown
+      if (!isOpen) break;
+      event.preventDefault();
+      moveTo(j + pageSize);
+      break;
+    case 36: // Home
+      if (inSearch) break;
+      event.preventDefault();
+      moveTo(0);
+      break;
+    case 35: // End
+      if (inSearch) break;
+      event.preventDefault();
+      moveTo(getNavigableIndices(item, element).length - 1);
+      break;
+    case 13: // Enter
+      event.preventDefault();
+      if (isOpen) {
+        choose();
+      } else {
+        moveTo(null);
+      }
+      break;
+    case 32: // Space
+      // Space types into the search input and continues a typeahead
+      if (inSearch) break;
+      event.preventDefault();
+      if (typing) {
+        const match = typeahead(' ', item, element);
+        if (match > -1) moveTo(getNavigableIndices(item, element).indexOf(match));
+      } else if (isOpen) {
+        choose();
+      } else {
+        moveTo(null);
+      }
+      break;
+    case 27: // Escape
+      if (!isOpen) break;
+      event.preventDefault();
+      closeFancySelect(item, element, true);
+      break;
+    case 46: // Delete
+    case 8: // Backspace
+      // Delete and Backspace type into the search input
+      if (inSearch || isOpen || !item.getSettings().clearable) break;
+      event.preventDefault();
+      clearSelection(item);
+      break;
+    case 9: // Tab
+      // Tab chooses the active option and lets focus move on
+      if (!isOpen) break;
+      if (!item.isMultiple()) choose();
+      closeFancySelect(item, element, false);
+      break;
+    default: {
+      // Typeahead: jump to the option that starts with the typed characters
+      if (inSearch || !event.key || event.key.length !== 1 || event.ctrlKey || event.metaKey || event.altKey) break;
+      event.preventDefault();
+      const match = typeahead(event.key, item, element);
+      if (!isOpen) openFancySelect(item, element, fsObjects);
+      if (match > -1) setActiveOption(item, element, match);
+      break;
+    }
+  }
+}
+
+
+/**
+ * Normalize text for searching: lower case without accents.
+ * Also returns where each character of the normalized text came from in the original text,
+ * so that matches can be highlighted in the original text.
+ * @param {string} text Text to normalize
+ * @returns {Object} Normalized text (text) and original character index of each normalized character (map).
+ */
+const normalizeSearchText = (text) => {
+  let normalized = '';
+  const map = [];
+
+  for (let i = 0; i < text.length; i += 1) {
+    const n = text[i].normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+    for (let k = 0; k < n.length; k += 1) {
+      map.push(i);
+    }
+    normalized += n;
+  }
+
+  return { text: normalized, map };
+}
+
+
+/**
+ * Filter the options of a Fancy Select by a search query and highlight the matching part of each option.
+ * Matching ignores case and accents. An empty query shows all options.
+ * @param {FancySelect} item Fancy Select object.
+ * @param {*} element Fancy Select DOM element.
+ * @param {string} query Search query.
+ * @returns {number} Number of options that match.
+ */
+const filterOptions = (item, element, query) => {
+  const oList = element.querySelector('.fs-options-list');
+  const state = getListState(oList);
+  const q = normalizeSearchText(query.trim()).text;
+
+  const matches = [];
+  for (let j = 0; j < item.getOptions().length; j += 1) {
+    if (q.length === 0 || normalizeSearchText(item.getText(j)).text.indexOf(q) > -1) {
+      matches.push(j);
+    }
+  }
+  state.query = q;
+  state.matches = q.length > 0 ? matches : null;
+  state.navigable = null;
+
+  // Offer to create the typed option
+  if (state.creator) {
+    state.creator.update(query);
+  }
+
+  if (state.virtual) {
+    // Only the matching options get rows
+    buildVirtualRows(item, oList);
+    oList.scrollTop = 0;
+    renderVirtualWindow(item, oList);
+  } else {
+    const matched = new Set(matches);
+    const listElements = oList.querySelectorAll('li[role="option"]');
+    for (let k = 0; k < listElements.length; k += 1) {
+      const li = listElements[k];
+      const j = getOptionIndex(li);
+
+      if (matched.has(j)) {
+        li.removeAttribute('hidden');
+        writeOptionContent(item, li, j, 'option', q);
+      } else {
+        setAtt(li, 'hidden', 'hidden');
+        writeOptionContent(item, li, j, 'option', '');
+      }
+    }
+
+    // Hide groups that have no matching options
+    const groupElements = oList.querySelectorAll('.fs-group');
+    for (let k = 0; k < groupElements.length; k += 1) {
+      if (groupElements[k].querySelector('li[role="option"]:not([hidden])') === null) {
+        setAtt(groupElements[k], 'hidden', 'hidden');
+      } else {
+        groupElements[k].removeAttribute('hidden');
+      }
+    }
+  }
+
+  // Keep the active option among the visible ones
+  const navigable = getNavigableIndices(item, element);
+  if (item.getOpenState() && navigable.indexOf(state.active) < 0) {
+    setActiveOption(item, element, navigable.length > 0 ? navigable[0] : -1);
+  }
+
+  // Show a "no results" row if nothing matched
+  const noResults = element.querySelector('.fs-no-results');
+  if (noResults) {
+    if (matches.length === 0 && !state.create) {
+      noResults.removeAttribute('hidden');
+    } else {
+      setAtt(noResults, 'hidden', 'hidden');
+    }
+  }
+
+  return matches.length;
+}
+
+
+/**
+ * Load the options of a Fancy Select from an asynchronous data source (the source option).
+ * The source is called with the search query, a page number starting from 0 and an AbortSignal,
+ * and resolves to an array of { value, text } items. Items may also have the metadata of rich options
+ * (icon, description, swatch, avatar). A source that knows whether there are more pages resolves to
+ * { items, hasMore } instead. Otherwise an empty page, or one shorter than the first page, is the last one.
+ * Pages load when the user scrolls to the bottom of the list, and until the list can scroll.
+ *
+ * Loaded items are written into the native <select> element as <option> elements, from where
+ * the Fancy Select picks them up like any other change. Selected options are kept when the query
+ * changes, so the form still submits them.
+ * @param {FancySelect} item The Fancy Select object.
+ * @param {*} element The Fancy Select DOM element.
+ * @param {HTMLSelectElement} selectElement Native <select> element.
+ * @returns {Object} Loader with search(query), open(), next() and cancel() methods.
+ */
+const createRemoteSource = (item, element, selectElement) => {
+  const settings = item.getSettings();
+  const state = {
+    query: '',
+    page: 0,
+    pageSize: 0, // Number of items on the first page
+    hasMore: true,
+    loaded: false,
+    loading: false,
+    request: 0, // Id of the latest request. Responses to older requests are ignored.
+    controller: null,
+    timer: null,
+  };
+
+  // Show the loading or error row, or neither
+  const setStatus = (status) => {
+    const rows = { loading: element.querySelector('.fs-loading'), error: element.querySelector('.fs-error') };
+    Object.keys(rows).forEach((key) => {
+      if (key === status) {
+        rows[key].removeAttribute('hidden');
+      } else {
+        setAtt(rows[key], 'hidden', 'hidden');
+      }
+    });
+    setAtt(element.querySelector('.fs-options-list'), 'aria-busy', status === 'loading' ? 'true' : 'false');
+  };
+
+  // Replace (or append to) the options of the native <select> element, keeping selected options
+  const writeOptions = (items, append) => {
+    const existing = Array.prototype.slice.call(selectElement.options);
+    if (!append) {
+      existing.filter(o => !o.selected).forEach(o => o.parentNode.removeChild(o));
+    }
+
+    const values = Array.prototype.map.call(selectElement.options, o => o.value);
+    items.forEach((result) => {
+      if (values.indexOf(String(result.value)) > -1) return;
+      selectElement.appendChild(createSelectOption(result));
+    });
+  };
+
+  // Load the next page of the current query
+  const next = () => {
+    if (state.loaded && !state.loading && state.hasMore) load(state.query, state.page + 1);
+  };
+
+  // Load the next page while the open list can't scroll to it
+  const fill = () => {
+    const list = element.querySelector('.fs-options-list');
+    if (item.getOpenState() && list.scrollHeight <= list.clientHeight) next();
+  };
+
+  const load = (query, page) => {
+    clearTimeout(state.timer);
+
+    // Cancel the previous request
+    state.request += 1;
+    const request = state.request;
+    if (state.controller) state.controller.abort();
+    state.controller = typeof AbortController === 'function' ? new AbortController() : null;
+
+    state.loading = true;
+    setStatus('loading');
+
+    return Promise.resolve()
+      .then(() => settings.source(query, page, state.controller ? state.controller.signal : undefined))
+      .then((result) => {
+        if (request !== state.request) return;
+
+        const items = Array.isArray(result) ? result : result.items;
+        if (page === 0) state.pageSize = items.length;
+        state.loading = false;
+        state.loaded = true;
+        state.query = query;
+        state.page = page;
+        state.hasMore = Array.isArray(result) ? items.length > 0 && items.length >= state.pageSize : result.hasMore === true;
+
+        writeOptions(items, page > 0);
+        setStatus(null);
+
+        // Once the options are rendered, keep loading while they don't fill the list
+        requestAnimationFrame(fill);
+
+        // Nothing found for this query
+        const noResults = element.querySelector('.fs-no-results');
+        if (page === 0 && items.length === 0) {
+          noResults.removeAttribute('hidden');
+        } else if (page === 0) {
+          setAtt(noResults, 'hidden', 'hidden');
+        }
+      })
+      .catch((e) => {
+        if (request !== state.request) return;
+
+        state.loading = false;
+        console.error('Couldn\'t load options for the following element ', selectElement, e);
+        setStatus('error');
+      });
+  };
+
+  return {
+    // Load the first page of a new query after the user stops typing
+    search: (query) => {
+      clearTimeout(state.timer);
+      state.timer = setTimeout(() => load(query, 0), settings.sourceDebounce);
+    },
+    // Load the first page with an empty query, unless it's already there
+    open: () => {
+      if (!state.loaded || state.query !== '') load('', 0);
+    },
+    next,
+    cancel: () => {
+      clearTimeout(state.timer);
+      state.request += 1;
+      if (state.controller) state.controller.abort();
+    },
+  };
+}
+
+
+/**
+ * Let the user add options that aren't in the list (the creatable option).
+ * When the search input has text that isn't an option yet, a "Create" row offers to add it.
+ * The typed text goes through the createOption hook, which may normalize or reject it, and is rejected
+ * if it's longer than createMaxLength or if an option with the same text or value exists, ignoring case and accents.
+ *
+ * Created options are appended to the native <select> element like any other option, so they submit with the form.
+ * @param {FancySelect} item The Fancy Select object.
+ * @param {*} element The Fancy Select DOM element.
+ * @param {HTMLSelectElement} selectElement Native <select> element.
+ * @returns {Object} Creator with update(query) and create() methods.
+ */
+const createCreatable = (item, element, selectElement) => {
+  const settings = item.getSettings();
+  const state = getListState(element.querySelector('.fs-options-list'));
+  const row = element.querySelector('.fs-create');
+
+  // Turn typed text into a { value, text } option, or null if it can't be created
+  const prepare = (query) => {
+    let option = query.trim().replace(/\s+/g, ' ');
+    if (option.length === 0) return null;
+
+    if (typeof settings.createOption === 'function') {
+      try {
+        option = settings.createOption(option);
+      } catch (e) {
+        console.error(e);
+        return null;
+      }
+    }
+    if (option === null || option === undefined || option === false) return null;
+    if (typeof option !== 'object') {
+      option = { value: String(option), text: String(option) };
+    }
+    option = { value: String(option.value), text: String(option.text) };
+    if (option.text.length === 0 || option.text.length > settings.createMaxLength) return null;
+
+    // Duplicates
+    const text = normalizeSearchText(option.text).text;
+    const value = normalizeSearchText(option.value).text;
+    for (let j = 0; j < item.getOptions().length; j += 1) {
+      const existingText = normalizeSearchText(String(item.getText(j))).text;
+      const existingValue = normalizeSearchText(String(item.getOptions()[j])).text;
+      if (existingText === text || existingValue === value) return null;
+    }
+
+    return option;
+  };
+
+  return {
+    // Show or hide the "Create" row for the text in the search input
+    update: (query) => {
+      state.create = prepare(query);
+      state.navigable = null;
+
+      if (state.create === null) {
+        setAtt(row, 'hidden', 'hidden');
+        if (row.classList.contains('fs-focused')) {
+          setActiveOption(item, element, -1);
+        }
+        return;
+      }
+
+      setAtt(row, 'data-index', item.getOptions().length);
+      row.textContent = getMessage(item, 'create', { text: state.create.text });
+      row.removeAttribute('hidden');
+    },
+    // Add the option of the "Create" row and return its <li> element, ready to be selected
+    create: () => {
+      if (state.create === null) return null;
+
+      const option = state.create;
+      const o = document.createElement('option');
+      o.value = option.value;
+      o.text = option.text;
+      selectElement.appendChild(o);
+
+      // Update the Fancy Select right away instead of waiting for the mutation observer
+      syncFromSelectElement(item, element, selectElement);
+      const index = item.getOptions().length - 1;
+
+      // Start over with an empty search
+      const search = element.querySelector('.fs-search');
+      search.value = '';
+      if (settings.source) {
+        state.creator.update('');
+      } else {
+        filterOptions(item, element, '');
+      }
+
+      item.emit('create', { index, value: option.value, text: option.text });
+      return getOptionElement(item, element, index);
+    },
+  };
+}
+
+
+// Touch pickers of Fancy Select elements, see createTouchPicker.
+const touchPickers = new WeakMap();
+
+// How far a bottom sheet has to be swiped down to dismiss it, in pixels.
+const sheetDismissDistance = 80;
+
+// Theme properties a bottom sheet copies from its Fancy Select element, as it's outside of it.
+const sheetThemeProperties = ['color', 'background', 'optionColor', 'optionSelectedColor', 'optionSelectedBackground',
+  'focusColor', 'disabledOpacity', 'ease', 'duration'];
+
+
+/**
+ * Check if a Fancy Select should open a touch picker instead of its options list, following its touchMode and
+ * touchBreakpoint options: on devices with a coarse pointer, like phones, and on narrow screens.
+ * Fancy Selects that the user types into to query a data source or to create options always open the options list.
+ * @param {FancySelect} item The Fancy Select object.
+ * @returns {boolean} Whether to open the touch picker.
+ */
+const isTouchContext = (item) => {
+  const settings = item.getSettings();
+  if (!settings.touchMode || settings.source || settings.creatable) return false;
+
+  const coarse = typeof window.matchMedia === 'function' && window.matchMedia('(pointer: coarse)').matches;
+  return coarse || window.innerWidth < settings.touchBreakpoint;
+}
+
+
+/**
+ * Let a Fancy Select open a picker made for touch screens instead of its options list, see isTouchContext.
+ * The picker is either the native picker of the <select> element, or a bottom sheet with large options that is
+ * dismissed by swiping it down, tapping outside of it or pressing Escape. The page doesn't scroll while it's open.
+ *
+ * Choices in the bottom sheet go through handleSelect and handleToggle, like clicks on the options list.
+ * Choices in the native picker go through FancySelect.select and updatePlaceholder. In multiple mode they are
+ * synced from the <select> element instead, as there's no single index to select.
+ * @param {FancySelect} item The Fancy Select object.
+ * @param {*} element The Fancy Select DOM element.
+ * @param {HTMLSelectElement} selectElement Native <select> element.
+ * @returns {Object} Touch picker with open(), change() and close() methods.
+ */
+const createTouchPicker = (item, element, selectElement) => {
+  const settings = item.getSettings();
+  let sheet = null;
+  let bodyOverflow = '';
+  let picking = false;
+  let selectStyle = '';
+
+  const closeNativePicker = () => {
+    if (!picking) return;
+    picking = false;
+    selectElement.style.cssText = selectStyle;
+    selectElement.removeEventListener('blur', closeNativePicker);
+  };
+
+  // showPicker only works on rendered elements, so the <select> element lies invisibly on top of the Fancy Select
+  // while the picker is open. Returns false if the browser can't open the picker.
+  const openNativePicker = () => {
+    if (typeof selectElement.showPicker !== 'function') return false;
+
+    const rect = element.getBoundingClientRect();
+    selectStyle = selectElement.style.cssText;
+    Object.assign(selectElement.style, {
+      display: '',
+      position: 'fixed',
+      left: rect.left + 'px',
+      top: rect.top + 'px',
+      width: rect.width + 'px',
+      height: rect.height + 'px',
+      opacity: '0',
+    });
+    picking = true;
+    selectElement.addEventListener('blur', closeNativePicker);
+
+    try {
+      selectElement.focus();
+      selectElement.showPicker();
+    } catch (e) {
+      closeNativePicker();
+      return false;
+    }
+    return true;
+  };
+
+  const closeSheet = () => {
+    if (sheet === null) return;
+    sheet.parentNode.removeChild(sheet);
+    sheet = null;
+    document.body.style.overflow = bodyOverflow;
+
+    closeFancySelect(item, element, false);
+    element.focus();
+  };
+
+  const openSheet = () => {
+    sheet = document.createElement('div');
+    setAtt(sheet, 'class', 'fs-sheet');
+    setAtt(sheet, 'role', 'dialog');
+    setAtt(sheet, 'aria-modal', 'true');
+    ['aria-labelledby', 'aria-label', 'dir'].forEach((name) => {
+      if (element.hasAttribute(name)) setAtt(sheet, name, element.getAttribute(name));
+    });
+    const style = window.getComputedStyle(element);
+    sheetThemeProperties.forEach((key) => {
+      const property = getThemePropertyName(key);
+      sheet.style.setProperty(property, style.getPropertyValue(property));
+    });
+
+    const backdrop = document.createElement('div');
+    setAtt(backdrop, 'class', 'fs-sheet-backdrop');
+    sheet.appendChild(backdrop);
+
+    const panel = document.createElement('div');
+    setAtt(panel, 'class', 'fs-sheet-panel');
+    const handle = document.createElement('div');
+    setAtt(handle, 'class', 'fs-sheet-handle');
+    setAtt(handle, 'aria-hidden', 'true');
+    panel.appendChild(handle);
+
+    // Large options, each a tab stop of its own. Group labels go between them.
+    const list = document.createElement('ul');
+    setAtt(list, 'class', 'fs-sheet-list');
+    setAtt(list, 'role', 'listbox');
+    if (item.isMultiple()) {
+      setAtt(list, 'aria-multiselectable', 'true');
+    }
+    let currentGroup = -1;
+    for (let j = 0; j < item.getOptions().length; j += 1) {
+      const g = item.getGroupIndex(j);
+      if (g > -1 && g !== currentGroup) {
+        const label = document.createElement('li');
+        setAtt(label, 'class', 'fs-sheet-group');
+        setAtt(label, 'role', 'presentation');
+        label.appendChild(document.createTextNode(item.getGroups()[g].label));
+        list.appendChild(label);
+      }
+      currentGroup = g;
+
+      const li = document.createElement('li');
+      setAtt(li, 'role', 'option');
+      setAtt(li, 'data-index', j);
+      setAtt(li, 'data-value', item.getOptions()[j]);
+      setAtt(li, 'aria-selected', item.isSelected(j) ? 'true' : 'false');
+      if (item.isOptionDisabled(j)) {
+        setAtt(li, 'aria-disabled', 'true');
+      } else {
+        setAtt(li, 'tabindex', '0');
+      }
+      writeOptionContent(item, li, j, 'option', '');
+      list.appendChild(li);
+    }
+    panel.appendChild(list);
+
+    const done = document.createElement('button');
+    setAtt(done, 'class', 'fs-sheet-done');
+    setAtt(done, 'type', 'button');
+    done.appendChild(document.createTextNode(getMessage(item, 'done')));
+    panel.appendChild(done);
+    sheet.appendChild(panel);
+
+    const choose = (event, li) => {
+      if (li.getAttribute('aria-disabled') === 'true') return;
+      if (item.isMultiple()) {
+        handleToggle(event, item, element, li);
+        const options = list.querySelectorAll('li[role="option"]');
+        for (let k = 0; k < options.length; k += 1) {
+          setAtt(options[k], 'aria-selected', item.isSelected(getOptionIndex(options[k])) ? 'true' : 'false');
+        }
+      } else {
+        handleSelect(event, item, element, li);
+        closeSheet();
+      }
+    };
+
+    sheet.addEventListener('click', (event) => {
+      const li = getClosest(event.target, '.fs-sheet-list [role="option"]');
+      if (li) {
+        choose(event, li);
+      } else if (event.target === backdrop || event.target === done) {
+        closeSheet();
+      }
+    });
+
+    sheet.addEventListener('keydown', (event) => {
+      if (event.key === 'Escape') {
+        event.preventDefault();
+        closeSheet();
+      } else if ((event.key === 'Enter' || event.key === ' ') && event.target.getAttribute('role') === 'option') {
+        event.preventDefault();
+        choose(event, event.target);
+      } else if (event.key === 'Tab') {
+        // Keep focus within the sheet
+        const focusable = sheet.querySelectorAll('[tabindex="0"], button');
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+        if (event.shiftKey && document.activeElement === first) {
+          event.preventDefault();
+          last.focus();
+        } else if (!event.shiftKey && document.activeElement === last) {
+          event.preventDefault();
+          first.focus();
+        }
+      }
+    });
+
+    // Swipe down to dismiss. Within the list, only once it's scrolled to the top.
+    let startY = null;
+    let distance = 0;
+    panel.addEventListener('touchstart', (event) => {
+      if (list.contains(event.target) && list.scrollTop > 0) return;
+      startY = event.touches[0].clientY;
+      distance = 0;
+      panel.style.transition = 'none';
+    });
+    panel.addEventListener('touchmove', (event) => {
+      if (startY === null) return;
+      distance = Math.max(0, event.touches[0].clientY - startY);
+      panel.style.transform = `translateY(${distance}px)`;
+    });
+    const endSwipe = () => {
+      if (startY === null) return;
+      startY = null;
+      panel.style.transition = '';
+      panel.style.transform = '';
+      if (distance > sheetDismissDistance) {
+        closeSheet();
+      }
+    };
+    panel.addEventListener('touchend', endSwipe);
+    panel.addEventListener('touchcancel', endSwipe);
+
+    document.body.appendChild(sheet);
+    bodyOverflow = document.body.style.overflow;
+    document.body.style.overflow = 'hidden';
+
+    // Start from the selected option
+    const selected = list.querySelector('[aria-selected="true"][tabindex="0"]') || list.querySelector('[tabindex="0"]') || done;
+    selected.focus();
+  };
+
+  return {
+    // Open the touch picker, if this is a touch context. Returns whether it opened.
+    open: () => {
+      if (!isTouchContext(item)) return false;
+      if (settings.touchMode !== 'native' || !openNativePicker()) {
+        openSheet();
+      }
+      return true;
+    },
+    // Pass a choice in the native picker on to the Fancy Select. Called when the <select> element changes.
+    change: () => {
+      if (!picking) return;
+      closeNativePicker();
+
+      const index = selectElement.selectedIndex;
+      if (!item.isMultiple() && index > -1 && !item.isOptionDisabled(index)) {
+        item.select(index);
+        updateSelectElements({ select: item.getSelectElement(), index: item.getSelectedIndex() });
+        updatePlaceholder(item, element);
+      }
+      element.focus();
+    },
+    close: () => {
+      closeNativePicker();
+      closeSheet();
+    },
+  };
+}
+
+
+/*********************************************************************
+ * Localization
+ *********************************************************************/
+
+
+// Built-in texts by locale. Register more with FancySelect.registerMessages.
+// {name} is replaced with a value. A text with a {count} may also be an object of texts by plural category,
+// e.g. { one: '{count} item', other: '{count} items' }, see Intl.PluralRules.
+const messages = {
+  en: {
+    noResults: 'No results',
+    loading: 'Loading…',
+    error: 'Couldn\'t load options',
+    search: 'Search',
+    create: 'Create \'{text}\'',
+    noneSelected: 'None selected',
+    selected: '{count} selected',
+    done: 'Done',
+    clear: 'Clear',
+  },
+};
+
+// Options that set a built-in text of a single element, by message key. They win over the catalog.
+const messageOptions = {
+  noResults: 'noResultsText',
+  loading: 'loadingText',
+  error: 'errorText',
+  search: 'searchPlaceholder',
+  create: 'createText',
+  done: 'sheetDoneText',
+  clear: 'clearText',
+};
+
+
+/**
+ * Get the language of an element from its lang attribute or the closest one around it,
+ * including the <fancy-select> element around a shadow root.
+ * @param {HTMLElement} element Element whose language to get.
+ * @returns {string} Language tag, e.g. 'fi-FI', or null if the page doesn't say.
+ */
+const getLanguage = (element) => {
+  for (let node = element; node; node = node.parentNode || node.host) {
+    if (node.nodeType === 1 && node.getAttribute('lang')) return node.getAttribute('lang');
+  }
+  return null;
+}
+
+
+/**
+ * Get the canonical form of a language tag, e.g. 'fi-FI' for 'fi-fi'.
+ * @param {string} locale Language tag, e.g. from a lang attribute.
+ * @returns {string} Canonical language tag, or 'en' if the tag is missing or malformed.
+ */
+const resolveLocale = (locale) => {
+  try {
+    return (locale && Intl.getCanonicalLocales(locale)[0]) || 'en';
+  } catch (e) {
+    return 'en';
+  }
+}
+
+
+/**
+ * Get a built-in text of a Fancy Select in its locale.
+ * Looks for the text in the element's options, then its messages option, then the catalog of its locale,
+ * the catalog of its language without the region, and finally the English catalog.
+ * @param {FancySelect} item Fancy Select object.
+ * @param {string} key Message key, e.g. 'noResults'
+ * @param {Object} [values] Values of the {name} placeholders of the text
+ * @returns {string} Text
+ */
+const getMessage = (item, key, values) => {
+  const settings = item.getSettings();
+  const locale = item.getLocale();
+  const catalogs = [messages[locale], messages[locale.split('-')[0]], messages.en];
+
+  let message = settings[messageOptions[key]];
+  if (message === null || message === undefined) {
+    message = [settings.messages || {}].concat(catalogs).filter(c => c && c[key] !== undefined).map(c => c[key])[0];
+  }
+
+  values = values || {};
+  if (message !== null && typeof message === 'object') {
+    const category = new Intl.PluralRules(locale).select(values.count);
+    message = message[category] !== undefined ? message[category] : message.other;
+  }
+
+  return String(message).replace(/\{(\w+)\}/g, (match, name) => {
+    if (values[name] === undefined) return match;
+    return typeof values[name] === 'number' ? new Intl.NumberFormat(locale).format(values[name]) : values[name];
+  });
+}
+
+
+/**
+ * Sort the options of a native <select> element by their texts in the locale of a Fancy Select.
+ * Options with an empty value, e.g. "Please choose", stay first. Options within an <optgroup> are sorted among
+ * themselves. Sorting the <select> element itself keeps the indices of the options the same in both.
+ * @param {FancySelect} item Fancy Select object.
+ * @param {HTMLSelectElement} selectElement Native <select> element.
+ */
+const sortSelectOptions = (item, selectElement) => {
+  const collator = new Intl.Collator(item.getLocale(), { numeric: true });
+  const compare = (a, b) => (a.value === '' ? 0 : 1) - (b.value === '' ? 0 : 1) || collator.compare(a.text, b.text);
+
+  [selectElement].concat(Array.prototype.slice.call(selectElement.getElementsByTagName('optgroup'))).forEach((parent) => {
+    const children = Array.prototype.slice.call(parent.children);
+    const options = children.filter(child => child.tagName === 'OPTION');
+    const sorted = options.slice().sort(compare);
+    if (sorted.every((o, j) => o === options[j])) return;
+
+    // Put the sorted options where the options were, leaving <optgroup> elements where they are
+    let k = 0;
+    children.forEach((child) => {
+      if (child.tagName === 'OPTION') {
+        parent.appendChild(sorted[k]);
+        k += 1;
+      } else {
+        parent.appendChild(child);
+      }
+    });
+  });
+}
+
+
+/**
+ * Follow the text direction of the native <select> element, so that right-to-left pages get a mirrored layout and
+ * animations.
+ * @param {HTMLElement} element Fancy Select DOM element.
+ * @param {HTMLSelectElement} selectElement Native <select> element.
+ */
+const updateDirection = (element, selectElement) => {
+  const direction = window.getComputedStyle(selectElement).direction === 'rtl' ? 'rtl' : 'ltr';
+  if (element.getAttribute('dir') !== direction) {
+    setAtt(element, 'dir', direction);
+  }
+}
+
+
+/*********************************************************************
+ * Themes
+ *********************************************************************/
+
+
+// Themes by name. Each theme sets CSS custom properties on top of the theme it's based on.
+// The built-in themes are in fancy-select.css, registered themes in a stylesheet of their own.
+const themes = {
+  'auto': { base: null, properties: {} },
+  'dark': { base: null, properties: {} },
+  'light': { base: null, properties: {} },
+  'high-contrast': { base: null, properties: {} },
+};
+
+// Theme of the Fancy Selects that don't have one of their own.
+let globalTheme = 'auto';
+
+// Stylesheet for the registered themes.
+let themeStyleElement = null;
+
+// Copies of the stylesheet in the shadow roots of <fancy-select> elements, which the document's styles don't reach.
+const themeStyleCopies = new WeakMap();
+
+
+/**
+ * Get a theme and the themes it's based on, starting from the base.
+ * A Fancy Select element's data-fs-theme attribute lists all of them, so that it gets the properties of each.
+ * @param {string} name Theme name
+ * @returns {Array} Theme names.
+ */
+const getThemeChain = (name) => {
+  if (!name) return [];
+  return getThemeChain(themes[name].base).concat(name);
+}
+
+
+/**
+ * Get the CSS custom property name of a theme property.
+ * @param {string} key Property name, either in camel case (optionHoverColor) or as is (--fs-option-hover-color).
+ * @returns {string} CSS custom property name.
+ */
+const getThemePropertyName = (key) => {
+  if (key.indexOf('--') === 0) return key;
+  return '--fs-' + key.replace(/[A-Z]/g, c => '-' + c.toLowerCase());
+}
+
+
+/**
+ * Write the CSS rules of all registered themes into their stylesheet.
+ * Forced colors win over registered themes like they do over the built-in ones.
+ */
+const updateThemeStyles = () => {
+  if (themeStyleElement === null) {
+    themeStyleElement = document.head.appendChild(document.createElement('style'));
+  }
+
+  const rules = Object.keys(themes).map((name) => {
+    const properties = themes[name].properties;
+    const declarations = Object.keys(properties).map(key => `${getThemePropertyName(key)}: ${properties[key]};`);
+    return declarations.length > 0 ? `.fs-select[data-fs-theme~="${name}"] { ${declarations.join(' ')} }` : '';
+  });
+  themeStyleElement.innerHTML = `@media not all and (forced-colors: active) { ${rules.join('')} }`;
+  shadowRoots.forEach(copyThemeStyles);
+}
+
+
+/**
+ * Copy the stylesheet of the registered themes into a shadow root, or update its copy there.
+ * @param {ShadowRoot} root Shadow root of a <fancy-select> element.
+ */
+const copyThemeStyles = (root) => {
+  if (themeStyleElement === null) return;
+  if (!themeStyleCopies.has(root)) {
+    themeStyleCopies.set(root, root.appendChild(document.createElement('style')));
+  }
+  themeStyleCopies.get(root).innerHTML = themeStyleElement.innerHTML;
+}
+
+
+/*********************************************************************
+ * Static rendering
+ *********************************************************************/
+
+
+/**
+ * Escape text for HTML, both for element contents and attribute values.
+ * @param {*} text Text to escape
+ * @returns {string} Escaped text.
+ */
+const escapeHtml = text => String(text).replace(/[&<>"']/g, c => `&#${c.charCodeAt(0)};`);
+
+
+/**
+ * Render an HTML element as a string, like document.createElement and setAtt would build it.
+ * @param {string} tag Tag name
+ * @param {Object} attributes Attribute values by name. Attributes that are null, undefined or false are left out.
+ * @param {string} [content] HTML of the element's contents. Void elements (img, input) have none.
+ * @returns {string} HTML string.
+ */
+const renderElement = (tag, attributes, content) => {
+  const atts = Object.keys(attributes)
+    .filter(key => attributes[key] !== null && attributes[key] !== undefined && attributes[key] !== false)
+    .map(key => ` ${key}="${escapeHtml(attributes[key])}"`)
+    .join('');
+  if (tag === 'img' || tag === 'input') return `<${tag}${atts}>`;
+  return `<${tag}${atts}>${content || ''}</${tag}>`;
+}
+
+
+/**
+ * Render the contents of an option, the placeholder or a chip of a Fancy Select as a string.
+ * The string counterpart of writeOptionContent. Templates may only return strings, which are shown as text.
+ * @param {FancySelect} item FancySelect object.
+ * @param {number} index Option index.
+ * @param {string} type What is being rendered: 'option', 'placeholder' or 'chip'.
+ * @returns {string} HTML string.
+ */
+const renderOptionContent = (item, index, type) => {
+  const template = item.getSettings().template;
+  if (typeof template === 'function') {
+    let content = null;
+    try {
+      content = template(item.getOptionData(index), { type, query: '' });
+    } catch (e) {
+      console.error(e);
+    }
+    if (typeof content === 'string') return escapeHtml(content);
+  }
+
+  const meta = item.getMeta()[index] || {};
+  const text = escapeHtml(item.getText(index));
+  if (!shownMetaKeys.some(key => meta[key])) return text;
+
+  let html = '';
+  if (meta.avatar) {
+    html += renderElement('img', { class: 'fs-option-avatar', src: meta.avatar, alt: '' });
+  }
+  if (meta.swatch) {
+    html += renderElement('span', { class: 'fs-option-swatch', 'aria-hidden': 'true', style: `background-color: ${meta.swatch.replace(/[;{}]/g, '')}` });
+  }
+  if (meta.icon) {
+    html += renderElement('span', { class: 'fs-option-icon', 'aria-hidden': 'true' }, escapeHtml(meta.icon));
+  }
+  html += renderElement('span', { class: 'fs-option-text' }, text);
+  if (meta.description && type === 'option') {
+    html += renderElement('span', { class: 'fs-option-description' }, escapeHtml(meta.description));
+  }
+  return html;
+}
+
+
+/**
+ * Render the options list of a Fancy Select as a string. Virtual lists are left empty for the browser to fill.
+ * The string counterpart of renderOptions.
+ * @param {FancySelect} item FancySelect object.
+ * @param {string} listId Id of the options list.
+ * @returns {string} HTML string of the list's contents.
+ */
+const renderOptionsList = (item, listId) => {
+  if (isVirtual(item)) return '';
+
+  const renderOption = j => renderElement('li', {
+    id: listId + '-option-' + j,
+    part: ['option'].concat(item.isSelected(j) ? ['selected'] : [], item.isOptionDisabled(j) ? ['disabled'] : []).join(' '),
+    role: 'option',
+    'data-index': j,
+    'aria-disabled': item.isOptionDisabled(j) ? 'true' : null,
+    'data-value': item.getOptions()[j],
+    selected: item.isSelected(j) ? 'selected' : null,
+    'aria-selected': item.isSelected(j) ? 'true' : 'false',
+  }, renderOptionContent(item, j, 'option'));
+
+  let html = '';
+  const options = item.getOptions();
+  for (let j = 0; j < options.length; j += 1) {
+    const g = item.getGroupIndex(j);
+    if (g < 0) {
+      html += renderOption(j);
+      continue;
+    }
+
+    // Render a whole group at once, starting from its first option
+    const group = item.getGroups()[g];
+    const labelId = listId + '-group-' + g;
+    html += renderElement('li', { class: 'fs-group', part: 'group', role: 'group', 'aria-labelledby': labelId, 'aria-disabled': group.disabled ? 'true' : null },
+      renderElement('span', { class: 'fs-group-label', part: 'group-label', id: labelId, role: 'presentation' }, escapeHtml(group.label))
+      + renderElement('ul', { class: 'fs-group-options', role: 'none' }, group.indices.map(renderOption).join('')));
+    j = group.indices[group.indices.length - 1];
+  }
+  return html;
+}
+
+
+/*********************************************************************
+ * Dependent selects
+ *********************************************************************/
+
+
+// Link of each dependent FancySelect object to the one it depends on: { parent, update }
+const dependencyLinks = new WeakMap();
+
+
+/**
+ * Get the options of a dependent Fancy Select for a value of the one it depends on, from its optionsFor option:
+ * either an object of options by value, or a loader function (value) that returns the options or a promise of them.
+ * In multiple mode, the options for all selected values of the parent are listed.
+ * @param {FancySelect} item Dependent Fancy Select object.
+ * @param {string|Array} parentValue Value of the Fancy Select it depends on. An array in multiple mode.
+ * @returns {Array|Promise} Options, or a promise of them from a loader function.
+ */
+const getDependentOptions = (item, parentValue) => {
+  const optionsFor = item.getSettings().optionsFor;
+  if (typeof optionsFor === 'function') return optionsFor(parentValue);
+
+  const values = [].concat(parentValue === null ? [] : parentValue);
+  return values.reduce((all, value) => all.concat((optionsFor || {})[value] || []), []);
+}
+
+
+/**
+ * Find the attached Fancy Select a Fancy Select depends on. It's in the same form, and the closest one in the
+ * document if there are several with the same name, e.g. in repeated rows of a table.
+ * @param {FancySelect} item Dependent Fancy Select object.
+ * @returns {FancySelect} FancySelect object, or null if there is none (yet).
+ */
+const getParentSelect = (item) => {
+  const selectElement = item.getSelectElement();
+  const candidates = instances.filter(instance => instance !== item
+    && instance.getName() === item.getSettings().dependsOn
+    && instance.getSelectElement().form === selectElement.form);
+
+  for (let node = selectElement.parentNode; node; node = node.parentNode) {
+    const closest = candidates.filter(candidate => node.contains(candidate.getSelectElement()))[0];
+    if (closest) return closest;
+  }
+  return null;
+}
+
+
+/**
+ * Find the Fancy Select a Fancy Select depends on, and check that it doesn't depend on itself through it.
+ * @param {FancySelect} item Dependent Fancy Select object.
+ * @returns {FancySelect} The attached FancySelect object it depends on, or null if that isn't attached (yet).
+ */
+const findParentSelect = (item) => {
+  const parent = getParentSelect(item);
+
+  // Follow the chain of parents back to where it ends, or to this element
+  const chain = [item];
+  for (let current = parent; current; current = current.getSettings().dependsOn ? getParentSelect(current) : null) {
+    if (chain.indexOf(current) > -1) {
+      const names = chain.concat(current).map(instance => instance.getName());
+      throw new Error(`Fancy Selects depend on each other in a cycle: ${names.join(' → ')}.`);
+    }
+    chain.push(current);
+  }
+  return parent;
+}
+
+
+/**
+ * Link dependent Fancy Selects to the Fancy Selects they depend on, as soon as both are attached.
+ * A dependent Fancy Select gets the options for the value of its parent right away, and again whenever the value
+ * changes. A selection that is still an option stays selected, unless the resetDependent option says otherwise.
+ * The first options keep the selection the element had when it was attached, or restore its saved selection.
+ * Its selection changes in turn update the ones that depend on it.
+ * Cycles are reported and left unlinked.
+ */
+const linkDependentSelects = () => {
+  instances.forEach((item) => {
+    if (!item.getSettings().dependsOn || dependencyLinks.has(item)) return;
+
+    let parent;
+    try {
+      parent = findParentSelect(item);
+    } catch (e) {
+      console.error(e.message);
+      return;
+    }
+    if (parent === null) return;
+
+    // Responses to older values are ignored
+    let request = 0;
+    let first = true;
+
+    // Options may be { value, text } objects, or strings that are both the value and the text. No options is none.
+    const apply = (current, options) => {
+      if (current !== request || !dependencyLinks.has(item)) return;
+      item.setOptions((options || []).map(option => (typeof option === 'object' ? option : { value: option, text: option })));
+
+      if (first) {
+        // The saved selection may only be an option now
+        if (item.getSettings().persist) {
+          const value = readPersistedValue(item);
+          if (value !== undefined) restoreValue(item, value);
+        }
+      } else if (item.getSettings().resetDependent) {
+        const enabled = item.getOptions().map((option, j) => j).filter(j => !item.isOptionDisabled(j));
+        if (item.isMultiple()) {
+          item.setValue([]);
+        } else if (enabled.length > 0) {
+          item.select(enabled[0]);
+        }
+      }
+      first = false;
+    };
+
+    const fail = (current, e) => {
+      if (current !== request) return;
+      console.error('Couldn\'t load the options of the following element ', item.getName(), e);
+    };
+
+    const update = () => {
+      request += 1;
+      const current = request;
+
+      try {
+        const options = getDependentOptions(item, parent.getValue());
+        if (options && typeof options.then === 'function') {
+          options.then(result => apply(current, result)).catch(e => fail(current, e));
+        } else {
+          apply(current, options);
+        }
+      } catch (e) {
+        fail(current, e);
+      }
+    };
+
+    dependencyLinks.set(item, { parent, update });
+    parent.on('change', update);
+    update();
+  });
+}
+
+
+/**
+ * Report a Fancy Select that depends on a <select> element that doesn't exist in its form.
+ * Parents that exist but aren't attached yet are linked when they are.
+ * @param {FancySelect} item Dependent Fancy Select object.
+ */
+const checkParentExists = (item) => {
+  const name = item.getSettings().dependsOn;
+  const form = item.getSelectElement().form;
+  if (name && !queryAllRoots('select').some(s => s.name === name && s.form === form)) {
+    console.error(`The Fancy Select "${item.getName()}" depends on "${name}", but there is no <select> element with that name${form ? ' in its form' : ''}.`);
+  }
+}
+
+
+/**
+ * Remove the links of a Fancy Select to the Fancy Select it depends on and to the ones that depend on it.
+ * Dependent Fancy Selects link again when a Fancy Select with the same name is attached.
+ * @param {FancySelect} item Fancy Select object that is being destroyed.
+ */
+const unlinkDependentSelects = (item) => {
+  instances.forEach((instance) => {
+    const link = dependencyLinks.get(instance);
+    if (link && (instance === item || link.parent === item)) {
+      link.parent.off('change', link.update);
+      dependencyLinks.delete(instance);
+    }
+  });
+}
+
+
+/*********************************************************************
+ * Persistence
+ *********************************************************************/
+
+
+/**
+ * Select values that were saved earlier, ignoring values that aren't enabled options of the element (anymore).
+ * @param {FancySelect} item Fancy Select object.
+ * @param {string|Array} value Value to select, or an array of values in multiple mode.
+ */
+const restoreValue = (item, value) => {
+  const options = item.getOptions();
+  const selectable = v => options.indexOf(String(v)) > -1 && !item.isOptionDisabled(options.indexOf(String(v)));
+
+  if (item.isMultiple()) {
+    item.setValue((Array.isArray(value) ? value : [value]).filter(selectable));
+  } else if (value !== null && value !== undefined && selectable(value)) {
+    item.setValue(value);
+  }
+}
+
+
+/**
+ * Read all values saved in localStorage with the persist option.
+ * Storage may be unavailable, e.g. in private windows, or hold something else under the same key.
+ * @param {string} key localStorage key
+ * @returns {Object} Saved values by element name
+ */
+const readStorage = (key) => {
+  try {
+    const state = JSON.parse(window.localStorage.getItem(key));
+    return state !== null && typeof state === 'object' ? state : {};
+  } catch (e) {
+    return {};
+  }
+}
+
+
+/**
+ * Get the value saved with the persist option of an element.
+ * The URL query string has a parameter named after the element, repeated in multiple mode like in a submitted form.
+ * @param {FancySelect} item Fancy Select object.
+ * @returns {string|Array} Saved value, or undefined if there is none.
+ */
+const readPersistedValue = (item) => {
+  const settings = item.getSettings();
+  const name = item.getName();
+  if (!name) return undefined;
+
+  if (settings.persist === 'url') {
+    const params = new URLSearchParams(window.location.search);
+    if (!params.has(name)) return undefined;
+    return item.isMultiple() ? params.getAll(name) : params.get(name);
+  }
+  if (settings.persist === 'localStorage') {
+    return readStorage(settings.persistKey)[name];
+  }
+  return undefined;
+}
+
+
+/**
+ * Save the value of an element with its persist option. The URL is replaced, so no history entries are added.
+ * @param {FancySelect} item Fancy Select object.
+ */
+const writePersistedValue = (item) => {
+  const settings = item.getSettings();
+  const name = item.getName();
+  const value = item.getValue();
+  if (!name) return;
+
+  if (settings.persist === 'url') {
+    const params = new URLSearchParams(window.location.search);
+    // A single value keeps its place in the query string
+    if (!item.isMultiple() && value !== null) {
+      params.set(name, value);
+    } else {
+      params.delete(name);
+      (value || []).forEach(v => params.append(name, v));
+    }
+
+    const query = params.toString();
+    window.history.replaceState(window.history.state, '', window.location.pathname + (query ? '?' + query : '') + window.location.hash);
+  } else if (settings.persist === 'localStorage') {
+    const state = readStorage(settings.persistKey);
+    state[name] = value;
+    try {
+      window.localStorage.setItem(settings.persistKey, JSON.stringify(state));
+    } catch (e) {
+      console.error('Couldn\'t save the value of the following element ', name, e);
+    }
+  }
+}
+
+
+/*********************************************************************
+ * Public API
+ *********************************************************************/
+
+
+/**
+ * Default per-instance options. Override them per instance with the options argument of FancySelect.attach.
+ * - autoSize: Size the element from its option texts (see initializeSelectSizes)
+ * - closeOnSelect: Close the element when an option is clicked
+ * - className: Extra class names added to the .fs-select element
+ * - multiple: Allow selecting several options. Follows the <select> element's multiple attribute unless set.
+ * - disabled: Disable the element. Follows the <select> element's disabled attribute unless set.
+ * - readOnly: Let the element be focused but not changed. Follows the <select> element's readonly attribute unless set.
+ * - multipleDisplay: What the placeholder shows in multiple mode, either 'summary' ("3 selected") or 'chips'
+ * - clearable: Show a button that clears the selection, see clearSelection. Delete and Backspace clear it too.
+ * - clearText: Accessible name of the clear button
+ * - search: Show a search input that filters the options
+ * - searchPlaceholder: Placeholder text of the search input. Null for the text of the locale, like the other texts.
+ * - noResultsText: Text shown when the search matches no options
+ * - source: Function (query, page, signal) that resolves to an array of { value, text } items to show as options,
+ *   or to { items, hasMore }. See createRemoteSource.
+ * - sourceDebounce: How long to wait after the user stops typing before querying the source, in milliseconds
+ * - loadingText: Text shown while options load from the source
+ * - errorText: Text shown when loading options from the source fails
+ * - virtualize: Render only the options scrolled into view (true), all options (false),
+ *   or only the options scrolled into view when there are more options than this number. See renderVirtualWindow.
+ * - virtualRows: How many options a virtual options list shows at once
+ * - virtualOverscan: How many options are rendered above and below the ones in view of a virtual options list
+ * - virtualItemHeight: Height of an option of a virtual options list in pixels. Measured if 0.
+ * - creatable: Let the user add options that aren't in the list by typing them into the search input.
+ *   See createCreatable.
+ * - createText: Text of the row that adds the typed option. {text} is replaced with the typed text.
+ * - createOption: Function (text) that validates and normalizes a typed option. Returns the text of the option,
+ *   a { value, text } object, or null to reject it.
+ * - createMaxLength: Maximum length of a typed option
+ * - template: Function (option, context) that renders an option, the placeholder or a chip. Gets the option
+ *   from getOptionData and a context with the type ('option', 'placeholder' or 'chip') and the search query.
+ *   Returns a DOM node, or a string that is shown as text. Returning nothing renders the default contents.
+ * - theme: Name of the theme of the element, or null to use the global theme. See FancySelect.registerTheme.
+ * - touchMode: What opens on touch screens instead of the options list (see isTouchContext): 'sheet' for a bottom
+ *   sheet with large options, 'native' for the native picker of the <select> element, falling back to the bottom
+ *   sheet if the browser can't open it, or null for the options list. Off unless set, so that pages don't change
+ *   how their elements open.
+ * - touchBreakpoint: Screen width in pixels below which the touch picker opens, whatever the pointer
+ * - sheetDoneText: Text of the button that closes the bottom sheet
+ * - hydrate: Take over the Fancy Select markup next to the <select> element instead of creating it,
+ *   e.g. markup from FancySelect.renderToString. Markup is created as usual if there is none.
+ * - persist: Save the selection and restore it when the element is attached again, e.g. after a reload:
+ *   'url' for the URL query string, so that links include it, 'localStorage' for the browser's storage, or false
+ * - persistKey: localStorage key under which the selections of all elements are saved
+ * - locale: Language tag of the element's texts and sorting, e.g. 'fi-FI'. Follows the lang attribute of the
+ *   <select> element or its closest parent unless set. See FancySelect.registerMessages.
+ * - messages: Built-in texts of this element by message key, e.g. { selected: '{count} chosen' }.
+ *   Replace the texts of the locale for this element only.
+ * - sort: Sort the options by their texts in the element's locale. See sortSelectOptions.
+ * - animation: How the element opens and closes: 'slide' (options slide in one after another), 'fade' or 'none'.
+ *   Users who prefer reduced motion get none.
+ * - duration: Duration of opening and closing in milliseconds, or null for the theme's duration (--fs-duration)
+ * - easing: CSS easing function of the animations, or null for the theme's (--fs-ease)
+ * - stagger: Delay between the options animating in, in milliseconds, or null for the theme's (--fs-stagger)
+ * - maxStagger: Longest delay of an option, however many there are, in milliseconds, or null for the theme's
+ *   (--fs-max-stagger). See animateSelect for the afteropen and afterclose events.
+ * - dependsOn: Name of the Fancy Select whose value this element's options depend on.
+ *   Follows the <select> element's data-fs-depends-on attribute unless set. See linkDependentSelects.
+ * - optionsFor: Options of a dependent element for each value of the element it depends on, as an object
+ *   ({ fi: [{ value: 'uusimaa', text: 'Uusimaa' }] }), or a function (value) that returns them or a promise of them
+ * - resetDependent: Select the first option of a dependent element whenever the element it depends on changes,
+ *   instead of keeping a selection that is still an option. Multiple elements select nothing.
+ */
+FancySelect.defaults = {
+  autoSize: true,
+  closeOnSelect: true,
+  className: '',
+  multiple: false,
+  disabled: false,
+  readOnly: false,
+  multipleDisplay: 'summary',
+  clearable: false,
+  clearText: null,
+  search: false,
+  searchPlaceholder: null,
+  noResultsText: null,
+  source: null,
+  sourceDebounce: 250,
+  loadingText: null,
+  errorText: null,
+  virtualize: 1000,
+  virtualRows: 10,
+  virtualOverscan: 5,
+  virtualItemHeight: 0,
+  creatable: false,
+  createText: null,
+  createOption: null,
+  createMaxLength: 100,
+  template: null,
+  theme: null,
+  touchMode: null,
+  touchBreakpoint: 600,
+  sheetDoneText: null,
+  hydrate: false,
+  persist: false,
+  persistKey: 'fancy-select',
+  locale: null,
+  messages: null,
+  sort: false,
+  animation: 'slide',
+  duration: null,
+  easing: null,
+  stagger: null,
+  maxStagger: null,
+  dependsOn: null,
+  optionsFor: null,
+  resetDependent: false,
+};
+
+// All currently attached FancySelect objects.
+const instances = [];
+
+
+/**
+ * Build a Fancy Select from a native <select> element, hiding the native element.
+ * @param {HTMLSelectElement} selectElement Native <select> element.
+ * @param {Object} [options] Per-instance options. See FancySelect.defaults.
+ * @returns {FancySelect} The attached FancySelect object, or null if the element couldn't be parsed.
+ */
+FancySelect.attach = (selectElement, options) => {
+  if (!selectElement || selectElement.tagName !== 'SELECT') {
+    throw new TypeError('FancySelect.attach expects a <select> element.');
+  }
+
+  // Don't attach twice to the same element
+  for (let i = 0; i < instances.length; i += 1) {
+    if (instances[i].getSelectElement() === selectElement) {
+      return instances[i];
+    }
+  }
+
+  // Parse the native <select> element into a JS object and construct a Fancy Select element from it
+  const item = parseSelect(selectElement, options);
+  if (item === null) return null;
+
+  // Sort the <select> element's own options, so that both keep the same indices
+  if (item.getSettings().sort) {
+    sortSelectOptions(item, selectElement);
+    item.setData(parseOptions(selectElement));
+  }
+
+  // Pre-rendered markup hides the <select> element already, but it's shown again on destroy
+  const hydrated = item.getSettings().hydrate ? hydrateFancySelect(item, selectElement) : null;
+  const previousDisplay = hydrated ? '' : selectElement.style.display;
+  const element = hydrated || createFancySelect(item, selectElement);
+
+  if (debugLevel > 0)
+    console.log('Created DOM element from FancySelect object', element);
+
+  updateDirection(element, selectElement);
+  updateAnimationStyles(item, element);
+
+  // Initialize element size
+  if (item.getSettings().autoSize) {
+    initializeSelectSizes([element], [item]);
+  }
+
+  // Update placeholder text to the select element value
+  updatePlaceholder(item, element);
+
+  // Keep track of added listeners so that they can be removed later.
+  const listeners = [];
+  const listen = (target, type, handler) => {
+    target.addEventListener(type, handler);
+    listeners.push({ target, type, handler });
+  };
+
+  // Measure sizes again when fonts load or the layout changes, and keep the open options panel in the viewport
+  const stopObservingSize = observeSelectSize(item, element, listen);
+  const stopAnimating = animateSelect(item, element);
+
+  // Phones and narrow screens open a touch picker instead of the options list
+  const touchPicker = createTouchPicker(item, element, selectElement);
+  touchPickers.set(element, touchPicker);
+
+  // Follow changes to the <select> element's value, except the ones made by this Fancy Select.
+  // Choices in the native touch picker are selected first.
+  listen(selectElement, 'change', () => {
+    if (updatingSelects.has(selectElement)) return;
+    touchPicker.change();
+    syncFromSelectElement(item, element, selectElement);
+  });
+
+  // Form reset changes the value after the reset event, so sync right after it.
+  if (selectElement.form) {
+    listen(selectElement.form, 'reset', () => setTimeout(() => {
+      syncFromSelectElement(item, element, selectElement);
+      updateValidityState(element, selectElement, false);
+    }, 0));
+  }
+
+  // The hidden <select> element can't show why it's invalid, so the Fancy Select does.
+  // Like a browser, focus the first invalid element of the form.
+  listen(selectElement, 'invalid', (event) => {
+    event.preventDefault();
+    updateValidityState(element, selectElement, true);
+
+    const controls = selectElement.form ? Array.prototype.slice.call(selectElement.form.elements) : [selectElement];
+    const firstInvalid = controls.filter(control => control.willValidate && !control.validity.valid)[0];
+    if (firstInvalid === selectElement && !item.isDisabled()) {
+      element.focus();
+    }
+  });
+
+  // Follow changes to the <select> element's options and its disabled, readonly and required attributes.
+  // Selecting writes aria-selected onto the options, which needs no sync.
+  const observer = new MutationObserver((mutations) => {
+    if (mutations.every(mutation => mutation.type === 'attributes' && mutation.attributeName === 'aria-selected')) return;
+    if (item.isDisabled() !== selectElement.disabled || item.isReadOnly() !== selectElement.hasAttribute('readonly')) {
+      item.setDisabled(selectElement.disabled);
+      item.setReadOnly(selectElement.hasAttribute('readonly'));
+      updateDisabledState(item, element);
+    }
+    syncFromSelectElement(item, element, selectElement);
+  });
+  observer.observe(selectElement, { attributes: true, childList: true, subtree: true, characterData: true });
+
+  // Add event listeners to Fancy Select OPTIONS.
+  const list = element.querySelector('.fs-options-list');
+  const getOption = event => getClosest(event.target, '.fs-options-list [role="option"]');
+
+  listen(list, 'click', (event) => {
+    if (!getOption(event)) return;
+
+    if (item.isMultiple()) {
+      handleToggle(event, item, element);
+    } else {
+      handleSelect(event, item, element);
+    }
+  });
+
+  // Render the options scrolled into view of a virtual options list
+  listen(list, 'scroll', () => scheduleVirtualWindow(item, list));
+
+  // Keyboard navigation and closing when focus leaves. Both also cover the search input.
+  listen(element, 'keydown', event => handleKeydown(event, item, element, instances));
+  listen(element, 'focusout', event => handleBlur(event, item, element));
+
+  // Filter options as the user types into the search input, or query the data source
+  const search = element.querySelector('.fs-search');
+  const remote = item.getSettings().source ? createRemoteSource(item, element, selectElement) : null;
+  // Offer to create the typed option in creatable mode
+  if (item.getSettings().creatable) {
+    getListState(list).creator = createCreatable(item, element, selectElement);
+    listen(element.querySelector('.fs-create'), 'click', (event) => {
+      if (item.isMultiple()) {
+        handleToggle(event, item, element);
+      } else {
+        handleSelect(event, item, element);
+      }
+    });
+  }
+
+  if (remote) {
+    listen(search, 'input', () => {
+      remote.search(search.value);
+      if (getListState(list).creator) getListState(list).creator.update(search.value);
+    });
+    item.on('open', remote.open);
+
+    // Load the next page when the user scrolls to the bottom of the options
+    listen(list, 'scroll', () => {
+      if (list.scrollTop + list.clientHeight >= list.scrollHeight - 20) {
+        remote.next();
+      }
+    });
+  } else if (search) {
+    listen(search, 'input', () => filterOptions(item, element, search.value));
+  }
+
+  // Clicking a <label> of the hidden native <select> element focuses the Fancy Select instead
+  const labels = selectElement.labels || [];
+  for (let i = 0; i < labels.length; i += 1) {
+    listen(labels[i], 'click', (event) => {
+      event.preventDefault();
+      element.focus();
+    });
+  }
+
+  // Toggle Fancy Select active state when it is clicked.
+  // Clicking the clear button clears the selection instead of opening the element
+  const clearButton = element.querySelector('.fs-clear');
+  if (clearButton) {
+    listen(clearButton, 'click', (event) => {
+      event.stopPropagation();
+      clearSelection(item);
+      closeFancySelect(item, element, false);
+      element.focus();
+    });
+  }
+
+  listen(element, 'click', event => handleClick(event, item, instances));
+  listen(element, 'focus', event => handleFocus(event, item, instances));
+
+  // When the document body is clicked, close this Fancy Select
+  listen(document.body, 'click', event => handleClick(event, null, [item]));
+
+  // Show selection changes made through the API, e.g. select or setValue, in the element and its <select> element.
+  // Save the selection with the persist option.
+  const handleChange = () => {
+    updateSelectElements({ select: item.getSelectElement(), indices: item.getSelectedIndices() });
+    updatePlaceholder(item, element);
+    if (item.getSettings().persist) {
+      writePersistedValue(item);
+    }
+  };
+  item.on('change', handleChange);
+
+  item.getElement = () => element;
+  item.getSelectElement = () => selectElement;
+
+  /**
+   * Replace the options of the element and its native <select> element. Options whose values are still there
+   * stay selected. If the value changes, the <select> element receives input and change events.
+   * @param {Array} newOptions Options, each with a value, and optionally a text, a disabled state and metadata.
+   * See createSelectOption.
+   */
+  item.setOptions = (newOptions) => {
+    const selected = Array.prototype.filter.call(selectElement.options, o => o.selected).map(o => o.value);
+    const defaults = Array.prototype.filter.call(selectElement.options, o => o.defaultSelected).map(o => o.value);
+
+    while (selectElement.firstChild) {
+      selectElement.removeChild(selectElement.firstChild);
+    }
+    // Options keep their selected attribute by value, so that a form reset still restores them
+    newOptions.forEach((data) => {
+      const o = selectElement.appendChild(createSelectOption(data));
+      o.defaultSelected = defaults.indexOf(o.value) > -1;
+    });
+
+    // A single <select> element selects its first option by itself if no other option stays selected
+    const kept = selected
+      .map(value => Array.prototype.filter.call(selectElement.options, o => o.value === value)[0])
+      .filter(o => o !== undefined);
+    if (item.isMultiple() || kept.length > 0) {
+      Array.prototype.forEach.call(selectElement.options, (o) => { o.selected = kept.indexOf(o) > -1; });
+    }
+
+    // Synced right away, so the observer has nothing left to follow
+    syncFromSelectElement(item, element, selectElement);
+    observer.takeRecords();
+
+    // Like a selection made through the API, a value that changed lets other scripts know
+    if (Array.prototype.filter.call(selectElement.options, o => o.selected).map(o => o.value).join() !== selected.join()) {
+      selectElement.dispatchEvent(new Event('input', { bubbles: true }));
+      selectElement.dispatchEvent(new Event('change', { bubbles: true }));
+    }
+  };
+
+  /**
+   * Update the Fancy Select from its native <select> element.
+   * Needed after changing the <select> element's value from a script, which fires no events.
+   */
+  item.sync = () => syncFromSelectElement(item, element, selectElement);
+
+  /**
+   * Remove the Fancy Select and its listeners and restore the native <select> element.
+   */
+  item.destroy = () => {
+    item.close();
+    item.off('change', handleChange);
+    touchPicker.close();
+    touchPickers.delete(element);
+
+    for (let i = 0; i < listeners.length; i += 1) {
+      listeners[i].target.removeEventListener(listeners[i].type, listeners[i].handler);
+    }
+    listeners.length = 0;
+    observer.disconnect();
+    stopObservingSize();
+    stopAnimating();
+    if (getListState(list).frame !== null) {
+      cancelAnimationFrame(getListState(list).frame);
+    }
+    if (remote) {
+      item.off('open', remote.open);
+      remote.cancel();
+    }
+
+    removeSelectSizes(element);
+    if (element.parentNode) {
+      element.parentNode.removeChild(element);
+    }
+    selectElement.style.display = previousDisplay;
+    unlabelFancySelect(selectElement);
+
+    unlinkDependentSelects(item);
+    const index = instances.indexOf(item);
+    if (index > -1) {
+      instances.splice(index, 1);
+    }
+  };
+
+  instances.push(item);
+
+  // Link Fancy Selects that depend on each other, now that both may be attached
+  checkParentExists(item);
+  linkDependentSelects();
+
+  // Restore the saved selection
+  if (item.getSettings().persist) {
+    const value = readPersistedValue(item);
+    if (value !== undefined) {
+      restoreValue(item, value);
+    }
+  }
+
+  return item;
+}
+
+
+/**
+ * Attach Fancy Selects to all <select> elements matching a selector.
+ * @param {string} selector CSS selector of native <select> elements.
+ * @param {Object} [options] Per-instance options applied to every match. See FancySelect.defaults.
+ * @returns {Array} Array of attached FancySelect objects.
+ */
+FancySelect.attachAll = (selector, options) => {
+  const fsObjects = [];
+  const selectElements = document.querySelectorAll(selector);
+
+  for (let i = 0; i < selectElements.length; i += 1) {
+    const item = FancySelect.attach(selectElements[i], options);
+    if (item !== null) {
+      fsObjects.push(item);
+    }
+  }
+
   if (debugLevel > 0)
-    console.log('Created DOM elements from FancySelect objects', elements);
+    console.log(`Found ${selectElements.length} <select> elements and converted ${fsObjects.length} into Fancy Selects.`);
+
+  return fsObjects;
+}
+
+
+// Counter for the ids of rendered elements
+let renderCount = 0;
+
+
+/**
+ * Render the markup of a Fancy Select as an HTML string, without a DOM. Works in Node, so that pages can be served
+ * with their Fancy Selects in place. Put the markup next to the native <select> element, hide the <select> element,
+ * and attach to it with the same options plus the hydrate option. The element is sized once it's attached, as only the browser can
+ * measure the option texts.
+ * @param {Object} data Select data:
+ * - name: Name of the <select> element
+ * - options: Option values
+ * - texts: Option texts
+ * - selected: Index of the selected option, or an array of indices in multiple mode
+ * - groups, disabledOptions, meta: Option groups, disabled states and metadata, see parseOptions
+ * - label: Accessible name of the element
+ * - required: Whether a value must be selected
+ * - dir: Text direction of the page, 'ltr' or 'rtl'. Texts are in the locale option's language.
+ * - id: Id the element's ids start with. Defaults to one made from the name and a count of rendered elements,
+ *   so that elements with the same name get different ones.
+ * @param {Object} [options] Per-instance options. See FancySelect.defaults.
+ * @returns {string} HTML string of the .fs-select element.
+ */
+FancySelect.renderToString = (data, options) => {
+  const item = new FancySelect(data.name, data.options, data.texts, data.selected, false, options, data.groups, data.disabledOptions, data.meta);
+  const settings = item.getSettings();
+  renderCount += 1;
+  const listId = (data.id || 'fs-' + data.name.replace(/[^a-zA-Z0-9_-]/g, '-') + '-' + renderCount) + '-listbox';
+
+  const classNames = ['fs-select'];
+  if (item.isMultiple()) classNames.push('fs-multiple');
+  if (settings.className) classNames.push(settings.className);
+  if (item.isDisabled()) classNames.push('fs-disabled');
+  if (item.isReadOnly()) classNames.push('fs-readonly');
+  if (settings.source) classNames.push('fs-remote');
+  if (isSelectionEmpty(item)) classNames.push('fs-empty');
+  if (settings.animation === 'fade' || settings.animation === 'none') classNames.push('fs-animation-' + settings.animation);
+  if (settings.clearable) classNames.push('fs-clearable');
+
+  // Placeholder, as updatePlaceholder would write it
+  const indices = item.getSelectedIndices();
+  let placeholder = '';
+  if (!item.isMultiple()) {
+    placeholder = indices.length > 0 ? renderOptionContent(item, indices[0], 'placeholder') : '';
+  } else if (settings.multipleDisplay === 'chips' && indices.length > 0) {
+    placeholder = indices.map(j => renderElement('span', { class: 'fs-chip', part: 'chip' }, renderOptionContent(item, j, 'chip'))).join('');
+  } else {
+    placeholder = escapeHtml(getSelectionSummary(item, indices));
+  }
+
+  // Options panel, as createFancySelect would build it
+  let panel = '';
+  if (settings.search) {
+    panel += renderElement('input', {
+      class: 'fs-search',
+      part: 'search',
+      type: 'text',
+      tabindex: -1,
+      autocomplete: 'off',
+      placeholder: getMessage(item, 'search'),
+      'aria-label': getMessage(item, 'search'),
+      'aria-controls': listId,
+      'aria-autocomplete': 'list',
+      maxlength: settings.creatable ? settings.createMaxLength : null,
+    });
+  }
+  panel += renderElement('ul', {
+    class: 'fs-options-list' + (isVirtual(item) ? ' fs-virtual' : ''),
+    part: 'list',
+    id: listId,
+    role: 'listbox',
+    'aria-label': data.label,
+    'aria-multiselectable': item.isMultiple() ? 'true' : null,
+    'aria-owns': settings.creatable ? listId + '-create' : null,
+  }, renderOptionsList(item, listId));
+  if (settings.creatable) {
+    panel += renderElement('div', { class: 'fs-create', part: 'create', id: listId + '-create', role: 'option', 'aria-selected': 'false', hidden: 'hidden' });
+  }
+  const statusRow = (className, text) => renderElement('div', { class: className, part: 'status', role: 'status', hidden: 'hidden' }, escapeHtml(text));
+  if (settings.search) {
+    panel += statusRow('fs-no-results', getMessage(item, 'noResults'));
+  }
+  if (settings.source) {
+    panel += statusRow('fs-loading', getMessage(item, 'loading'));
+    panel += statusRow('fs-error', getMessage(item, 'error'));
+  }
+
+  return renderElement('div', {
+    class: classNames.join(' '),
+    part: 'select',
+    'data-name': data.name,
+    'data-width': '7.5',
+    dir: data.dir === 'rtl' ? 'rtl' : 'ltr',
+    tabindex: item.isDisabled() ? null : '0',
+    role: 'combobox',
+    'aria-haspopup': 'listbox',
+    'aria-expanded': 'false',
+    'aria-controls': listId,
+    'aria-label': data.label,
+    'data-fs-theme': getThemeChain(item.getTheme()).join(' '),
+    'aria-disabled': item.isDisabled() ? 'true' : null,
+    'aria-readonly': item.isReadOnly() ? 'true' : null,
+    'aria-required': data.required ? 'true' : null,
+    'aria-describedby': listId + '-validation',
+  }, renderElement('span', { class: 'fs-placeholder', part: 'placeholder' }, placeholder)
+    + (settings.clearable ? renderElement('button', {
+      type: 'button',
+      class: 'fs-clear',
+      part: 'clear',
+      tabindex: '-1',
+      'aria-label': getMessage(item, 'clear'),
+      hidden: canClearSelection(item) ? null : 'hidden',
+    }) : '')
+    + renderElement('div', { class: 'fs-options', part: 'options' }, panel)
+    + renderElement('div', { class: 'fs-validation-message', part: 'validation-message', id: listId + '-validation', hidden: 'hidden' }));
+}
+
+
+/**
+ * Get all currently attached FancySelect objects.
+ * @returns {Array} Array of FancySelect objects.
+ */
+FancySelect.getInstances = () => instances.slice();
+
+
+/**
+ * Get the attached Fancy Selects that have a name, optionally only the ones in a form.
+ * @param {HTMLFormElement} [form] Form of the elements
+ * @returns {Array} FancySelect objects.
+ */
+const getNamedInstances = form => instances.filter(item => item.getName()
+  && (!form || item.getSelectElement().form === form));
 
-  return {
-    fsObjects: items,
-    fsElements: elements,
-  };
+
+/**
+ * Get the values of all attached Fancy Selects, e.g. to save them. Also makes JSON.stringify(FancySelect) work.
+ * Elements without a name are left out. Elements with the same name in different forms are told apart by
+ * getting the values of one form at a time.
+ * @param {HTMLFormElement} [form] Only get the values of the elements in this form
+ * @returns {Object} Value of each element by name, see getValue.
+ */
+FancySelect.toJSON = form => getNamedInstances(form).reduce((state, item) => {
+  state[item.getName()] = item.getValue();
+  return state;
+}, {});
+
+
+/**
+ * Select values of all attached Fancy Selects, e.g. ones from FancySelect.toJSON. Elements that aren't in the state
+ * keep their selection, and values that aren't enabled options of an element are ignored.
+ * @param {Object|string} state Values by element name, or a JSON string of them.
+ * @param {HTMLFormElement} [form] Only select values of the elements in this form
+ */
+FancySelect.fromJSON = (state, form) => {
+  if (typeof state === 'string') {
+    state = JSON.parse(state);
+  }
+
+  getNamedInstances(form).forEach((item) => {
+    if (Object.prototype.hasOwnProperty.call(state, item.getName())) {
+      restoreValue(item, state[item.getName()]);
+    }
+  });
 }
 
 
-window.docReady(function() {  
-  // Initialize fancy-select
-  const { fsObjects, fsElements } = init();
+/**
+ * Register the built-in texts of a locale, or add to registered ones. Elements created later use them,
+ * e.g. FancySelect.registerMessages('fi', { noResults: 'Ei tuloksia', selected: '{count} valittu' })
+ * Texts that a locale doesn't have come from its language without the region, then from English.
+ * @param {string} locale Language tag, e.g. 'fi' or 'fi-FI'
+ * @param {Object} texts Texts by message key: noResults, loading, error, search, create, noneSelected, selected, clear
+ * and done. See the English texts in the messages catalog.
+ */
+FancySelect.registerMessages = (locale, texts) => {
+  messages[locale] = Object.assign({}, messages[locale], texts);
+}
 
-  // Initialize fancy-select element sizes
-  initializeSelectSizes(fsElements);
 
-  // Update placeholder texts to select element values
-  for (let i = 0; i < fsObjects.length; i += 1) {
-    updatePlaceholder(fsObjects[i], fsElements[i]);
+/**
+ * Register a theme, or replace a registered one. Elements that use the theme change right away.
+ * A theme sets any of the CSS custom properties listed at the top of fancy-select.css, e.g.
+ * FancySelect.registerTheme('brand', { background: '#0B3D91', optionHoverBackground: '#1456C8' }, 'dark')
+ * @param {string} name Theme name. Letters, numbers and dashes.
+ * @param {Object} properties CSS custom property values by property name, in camel case or as is (--fs-background).
+ * @param {string} [base] Name of the theme this one builds on. Properties it doesn't set come from the base theme.
+ */
+FancySelect.registerTheme = (name, properties, base) => {
+  if (typeof name !== 'string' || !/^[a-zA-Z0-9-]+$/.test(name)) {
+    throw new TypeError('Theme name must consist of letters, numbers and dashes.');
   }
+  if (base !== undefined && base !== null && !themes[base]) {
+    throw new Error(`Unknown theme "${base}".`);
+  }
+  if (base && getThemeChain(base).indexOf(name) > -1) {
+    throw new Error(`Theme "${name}" can't be based on "${base}", which is based on it.`);
+  }
+
+  const values = Object.assign({}, properties);
+  Object.keys(values).forEach((key) => {
+    if (/[;{}<]/.test(String(values[key]))) {
+      throw new TypeError(`Invalid value for theme property ${key}.`);
+    }
+  });
+
+  themes[name] = { base: base || null, properties: values };
+  updateThemeStyles();
 
-  // Add event listeners to <select> elements just in case the user manages to change them.
-  var selectElements = document.getElementsByClassName('fs-select-origin');
-  for (var i = 0; i < selectElements.length; i += 1) {
-    selectElements[i].addEventListener('change', () => updatePlaceholder(fsObjects[i], fsElements[i]));
+  // Elements using the theme, or a theme based on it, need the new list of themes in their data-fs-theme attribute
+  for (let i = 0; i < instances.length; i += 1) {
+    instances[i].setTheme(instances[i].getSettings().theme);
   }
+}
 
-  // Add event listeners to Fancy Select OPTIONS.
-  for (let i = 0; i < fsElements.length; i += 1) {
-    const listElements = fsElements[i].querySelectorAll('.fs-options-list li');
-    for (let j = 0; j < listElements.length; j += 1) {
-      const child = listElements[j];
-      const item = fsObjects[i];
-      const element = fsElements[i];
-
-      // Add click handlers
-      child.addEventListener('click', event => handleSelect(event, item, element));
-      child.addEventListener('blur', event => handleBlur(event, item, element));
-
-      // Add keyboard key listeners
-      child.addEventListener('keydown', (event) => {
-        let indexToFocus = item.getSelectedIndex();
-        switch (event.keyCode) {
-          case 38: // Up
-            indexToFocus = Math.max(j-1, 0);
-            listElements[indexToFocus].focus();
-            break;
-          case 40: // Down
-            indexToFocus = Math.min(j+1, listElements.length - 1);
-            listElements[indexToFocus].focus();
-            break;
-          case 35: // End
-            indexToFocus = listElements.length - 1;
-            listElements[indexToFocus].focus();
-            break;
-          case 36: // Home
-            indexToFocus = 0;
-            listElements[indexToFocus].focus();
-            break;
-          case 13: // Enter
-            handleSelect(event, item, element);
-            break;
-          case 32: // Space
-            handleSelect(event, item, element);
-            break;
-          default:
-            break;
+
+/**
+ * Set the theme of all Fancy Selects that don't have a theme of their own.
+ * The built-in themes are 'auto' (the default, follows prefers-color-scheme), 'dark', 'light' and 'high-contrast'.
+ * @param {string} name Theme name
+ */
+FancySelect.setTheme = (name) => {
+  if (!themes[name]) throw new Error(`Unknown theme "${name}".`);
+  globalTheme = name;
+
+  for (let i = 0; i < instances.length; i += 1) {
+    instances[i].setTheme(instances[i].getSettings().theme);
+  }
+}
+
+
+/**
+ * Get the name of the theme of all Fancy Selects that don't have a theme of their own.
+ * @returns {string} Theme name.
+ */
+FancySelect.getTheme = () => globalTheme;
+
+
+/*********************************************************************
+ * Sentences
+ *********************************************************************/
+
+
+// Words that start with a vowel letter but not a vowel sound, and words that start with a silent h.
+const consonantSound = /^(?:eu|ewe|one|once|uni|u[bcfgklrstv][aeiou])/i;
+const silentH = /^(?:hour|honest|honou?r|heir)/i;
+
+
+/**
+ * Get the English indefinite article for a word: 'an' before a vowel sound, 'a' otherwise.
+ * Words the rules get wrong can be given an article with the data-article attribute of their <option>.
+ * @param {string} word Word that follows the article.
+ * @returns {string} 'a' or 'an'
+ */
+const getArticle = word => (silentH.test(word) || (/^[aeiou]/i.test(word) && !consonantSound.test(word)) ? 'an' : 'a');
+
+
+/**
+ * Get the English plural of a text by pluralizing its last word, e.g. 'film camera' → 'film cameras'.
+ * Irregular plurals can be given with the data-plural attribute of their <option>.
+ * @param {string} text Text in singular.
+ * @returns {string} Text in plural.
+ */
+const getPlural = (text) => {
+  if (/[^aeiou]y$/i.test(text)) return text.slice(0, -1) + 'ies';
+  if (/(?:s|x|z|ch|sh)$/i.test(text)) return text + 'es';
+  return text + 's';
+}
+
+
+/**
+ * Split a sentence template into its parts:
+ * - { text }: Text as it is
+ * - { article: true }: {a}, an article that agrees with the word after it
+ * - { name, count }: {name} or {name:count}, a slot. A count names the slot whose value the slot's text agrees with.
+ * @param {string} template Sentence template, e.g. 'I want to {verb} {a} {adjective} {noun}'
+ * @returns {Array} Parts of the template.
+ */
+const parseSentenceTemplate = (template) => {
+  const parts = [];
+  const names = [];
+  const pattern = /\{([^{}:]+)(?::([^{}]+))?\}/g;
+  let last = 0;
+  let match;
+
+  while ((match = pattern.exec(template)) !== null) {
+    if (match.index > last) {
+      parts.push({ text: template.slice(last, match.index) });
+    }
+    const name = match[1].trim();
+    if (name === 'a' || name === 'an') {
+      parts.push({ article: true });
+    } else if (names.indexOf(name) > -1) {
+      throw new Error(`The slot "${name}" appears more than once in the sentence "${template}".`);
+    } else {
+      names.push(name);
+      parts.push({ name, count: match[2] ? match[2].trim() : null });
+    }
+    last = pattern.lastIndex;
+  }
+  if (last < template.length) {
+    parts.push({ text: template.slice(last) });
+  }
+
+  parts.filter(part => part.count).forEach((part) => {
+    if (names.indexOf(part.count) === -1) {
+      throw new Error(`The slot "${part.name}" agrees with the slot "${part.count}", but the sentence "${template}" has no such slot.`);
+    }
+  });
+  return parts;
+}
+
+
+/**
+ * Get the text of a slot's selection. The texts of a multiple selection are joined into a list, e.g. 'red, green and blue'.
+ * @param {FancySelect} item Fancy Select object of the slot.
+ * @param {string} locale Language of the sentence.
+ * @returns {string} Text, or an empty string if nothing is selected.
+ */
+const getSlotText = (item, locale) => {
+  const texts = item.getSelectedIndices().map(index => item.getText(index));
+  if (texts.length < 2) return texts.join('');
+  return typeof Intl.ListFormat === 'function' ? new Intl.ListFormat(locale).format(texts) : texts.join(', ');
+}
+
+
+/**
+ * Get the number a slot's text agrees with: the value of a single slot, or the number of selected options of a
+ * multiple one.
+ * @param {FancySelect} item Fancy Select object of the slot it agrees with.
+ * @returns {number} Count, NaN if the value isn't a number.
+ */
+const getSlotCount = (item) => {
+  if (item.isMultiple()) return item.getSelectedIndices().length;
+  const value = item.getValue();
+  return value === null ? NaN : Number(value);
+}
+
+
+/**
+ * Create a sentence of inline Fancy Selects from a template, e.g. 'I want to {verb} {a} {adjective} {noun}.'
+ * The container's content is replaced by the sentence. Each {name} slot is a Fancy Select: the <select> element of that
+ * name in the container, or one made from the slots option. <select> elements that are attached already keep their
+ * Fancy Selects and options. Slots follow each other in the order of the sentence, so that Tab moves from one to the next.
+ *
+ * Grammar follows the selection:
+ * - {a} is an article that agrees with the word after it, see the article option.
+ * - {name:count} is a slot whose option texts are in plural unless the value of the slot count is one, e.g.
+ *   '{count} {noun:count}'. Options can give their plural with the data-plural attribute, see the plural option.
+ *
+ * Options:
+ * - slots: Options of the slots that have no <select> element in the container, by slot name. Each is a value or
+ *   an option object, see createSelectOption. Option objects can have a plural and an article too.
+ * - select: Per-instance options of the slots' Fancy Selects, see FancySelect.defaults
+ * - submit: Element or selector of a button that submits the sentence
+ * - locale: Language of the sentence, for plural rules and lists. Defaults to the language of the container, or 'en'.
+ * - article: function (word, locale) returning the article of the word that follows it. Defaults to English articles.
+ * - plural: function (text, locale) returning the plural of an option text. Defaults to English plurals.
+ * @param {HTMLElement} container Element to build the sentence in.
+ * @param {string} template Sentence template.
+ * @param {Object} [options] Options of the sentence.
+ * @returns {Object} Sentence with methods:
+ * - getText(): The sentence as text
+ * - getValue(): The value of each slot by name, see FancySelect getValue
+ * - setValue(values): Select the values of some or all slots by name
+ * - getSlots(): The Fancy Select of each slot by name
+ * - submit(): Emit a submit event. Returns false if a listener prevented it.
+ * - on(type, listener), off(type, listener): Listen to the events change and submit. Their detail has the text and
+ *   the value of the sentence. The container also receives them as DOM events, fs-sentence-change and fs-sentence-submit.
+ * - destroy(): Remove the Fancy Selects and listeners. The sentence stays in the container with its <select> elements.
+ */
+FancySelect.createSentence = (container, template, options) => {
+  const settings = Object.assign({
+    slots: {},
+    select: {},
+    submit: null,
+    locale: getLanguage(container),
+    article: word => getArticle(word),
+    plural: text => getPlural(text),
+  }, options);
+  settings.locale = resolveLocale(settings.locale);
+  const parts = parseSentenceTemplate(template);
+
+  // Take the <select> elements of the slots out of the container before its content is replaced
+  const existing = {};
+  parts.filter(part => part.name).forEach((part) => {
+    const select = Array.prototype.filter.call(container.querySelectorAll('select'), s => s.name === part.name)[0];
+    if (select) {
+      existing[part.name] = select;
+    } else if (!Array.isArray(settings.slots[part.name])) {
+      throw new Error(`The sentence slot "${part.name}" has no <select> element or options.`);
+    }
+  });
+  while (container.firstChild) {
+    container.removeChild(container.firstChild);
+  }
+  container.classList.add('fs-sentence');
+
+  const slots = {};
+  parts.forEach((part) => {
+    if (part.text !== undefined) {
+      container.appendChild(document.createTextNode(part.text));
+      return;
+    }
+    if (part.article) {
+      part.element = document.createElement('span');
+      setAtt(part.element, 'class', 'fs-sentence-article');
+      container.appendChild(part.element);
+      return;
+    }
+
+    let select = existing[part.name];
+    const attached = select ? instances.filter(instance => instance.getSelectElement() === select)[0] : undefined;
+    if (!select) {
+      select = document.createElement('select');
+      setAtt(select, 'name', part.name);
+      setAtt(select, 'aria-label', part.name);
+      settings.slots[part.name].forEach(data => select.appendChild(createSelectOption(typeof data === 'object' ? data : { value: data })));
+    }
+    const wrapper = document.createElement('div');
+    setAtt(wrapper, 'class', 'fancy-select');
+    wrapper.appendChild(select);
+    container.appendChild(wrapper);
+
+    // A <select> element that is attached already keeps its Fancy Select, which moves along with it
+    if (attached) {
+      wrapper.appendChild(attached.getElement());
+    }
+    slots[part.name] = attached || FancySelect.attach(select, settings.select);
+    if (slots[part.name] === null) {
+      throw new Error(`Couldn't build a Fancy Select for the sentence slot "${part.name}".`);
+    }
+    part.item = slots[part.name];
+  });
+
+  // Options of each counted slot in singular, by value, and whether the slot shows them in plural
+  const counted = parts.filter(part => part.count);
+  counted.forEach((part) => {
+    part.singular = {};
+    part.plural = false;
+  });
+
+  /**
+   * Show the options of a counted slot in singular or plural. Options that are new to the slot are in singular.
+   * @param {Object} part Slot part of the template.
+   * @param {boolean} plural Whether to show the plurals.
+   */
+  const setPlural = (part, plural) => {
+    const item = part.item;
+    const data = item.getOptions().map((value, j) => item.getOptionData(j));
+    data.forEach((option) => {
+      if (!part.plural || part.singular[option.value] === undefined) {
+        part.singular[option.value] = option.text;
+      }
+    });
+
+    const singular = option => part.singular[option.value];
+    const texts = data.map(option => (plural ? option.plural || settings.plural(singular(option), settings.locale) : singular(option)));
+    part.plural = plural;
+    if (texts.every((text, j) => text === data[j].text)) return;
+
+    item.setOptions(data.map((option, j) => Object.assign({}, option, { text: texts[j] })));
+  };
+
+  /**
+   * Update the grammar of the sentence to its selection.
+   */
+  const updateGrammar = () => {
+    counted.forEach((part) => {
+      const count = getSlotCount(slots[part.count]);
+      setPlural(part, !isNaN(count) && new Intl.PluralRules(settings.locale).select(count) !== 'one');
+    });
+
+    parts.forEach((part, i) => {
+      if (!part.article) return;
+
+      // The article agrees with the first word after it. A selected option may give its own article.
+      const next = parts.slice(i + 1).filter(p => (p.item ? getSlotText(p.item, settings.locale) : (p.text || '')).trim() !== '')[0];
+      if (!next) {
+        part.element.textContent = '';
+        return;
+      }
+      const nextIndex = next.item ? next.item.getSelectedIndex() : -1;
+      const given = nextIndex > -1 ? next.item.getOptionData(nextIndex).article : undefined;
+      const word = (next.item ? getSlotText(next.item, settings.locale) : next.text).trim().split(/\s+/)[0];
+      part.element.textContent = given || settings.article(word, settings.locale);
+    });
+  };
+
+  // Listeners added with on(), by event type
+  const listeners = {};
+
+  const emit = (type) => {
+    const detail = { text: sentence.getText(), value: sentence.getValue() };
+    const event = {
+      type,
+      detail,
+      target: sentence,
+      defaultPrevented: false,
+      preventDefault: () => { event.defaultPrevented = true; },
+    };
+
+    (listeners[type] || []).slice().forEach((listener) => {
+      try {
+        listener.call(sentence, event);
+      } catch (e) {
+        console.error(e);
+      }
+    });
+
+    const domEvent = new CustomEvent('fs-sentence-' + type, { bubbles: true, cancelable: true, detail });
+    if (!container.dispatchEvent(domEvent)) {
+      event.defaultPrevented = true;
+    }
+    return !event.defaultPrevented;
+  };
+
+  // Changing a plural changes no values, but the grammar is updated only once for each change
+  let updating = false;
+  const handleChange = () => {
+    if (updating) return;
+    updating = true;
+    try {
+      updateGrammar();
+    } finally {
+      updating = false;
+    }
+    emit('change');
+  };
+  Object.keys(slots).forEach(name => slots[name].on('change', handleChange));
+
+  const button = typeof settings.submit === 'string' ? document.querySelector(settings.submit) : settings.submit;
+  const handleSubmit = () => sentence.submit();
+  if (button) {
+    button.addEventListener('click', handleSubmit);
+  }
+
+  const sentence = {
+    getText: () => parts.map((part) => {
+      if (part.item) return getSlotText(part.item, settings.locale);
+      return part.article ? part.element.textContent : part.text;
+    }).join('').replace(/\s+/g, ' ').trim(),
+
+    getValue: () => Object.keys(slots).reduce((value, name) => {
+      value[name] = slots[name].getValue();
+      return value;
+    }, {}),
+
+    setValue: (values) => {
+      Object.keys(values).forEach((name) => {
+        if (!slots[name]) {
+          throw new RangeError(`The sentence has no slot "${name}".`);
         }
-      })
+        slots[name].setValue(values[name]);
+      });
+    },
+
+    getSlots: () => Object.assign({}, slots),
+
+    submit: () => emit('submit'),
+
+    on: (type, listener) => {
+      listeners[type] = (listeners[type] || []).concat(listener);
+      return sentence;
+    },
+
+    off: (type, listener) => {
+      listeners[type] = (listeners[type] || []).filter(l => l !== listener);
+      return sentence;
+    },
+
+    destroy: () => {
+      if (button) {
+        button.removeEventListener('click', handleSubmit);
+      }
+      Object.keys(slots).forEach((name) => {
+        slots[name].off('change', handleChange);
+        slots[name].destroy();
+      });
+    },
+  };
+
+  updateGrammar();
+  return sentence;
+}
+
+
+/*********************************************************************
+ * <fancy-select> element
+ *********************************************************************/
+
+
+// URL of the stylesheet of <fancy-select> elements' shadow roots. Defaults to fancy-select.css next to this script.
+FancySelect.stylesheet = typeof document !== 'undefined' && document.currentScript
+  ? document.currentScript.src.replace(/\.js(\?.*)?$/, '.css')
+  : 'fancy-select.css';
+
+// State of each <fancy-select> element:
+// - internals: ElementInternals of the element
+// - root: Shadow root of the element
+// - wrapper: Element in the shadow root that holds the private <select> element and the Fancy Select
+// - select: Private <select> element, or null while the element isn't connected
+// - item: FancySelect object, or null while the element isn't connected
+// - observer: MutationObserver that copies the element's options to the private <select> element
+// - formDisabled: Whether a disabled <fieldset> disables the element
+const elementStates = new WeakMap();
+
+// Counter for naming the private <select> elements of <fancy-select> elements.
+let elementCount = 0;
+
+
+/**
+ * Copy the <option> and <optgroup> children of a <fancy-select> element into its private <select> element.
+ * Options that were selected stay selected.
+ * @param {HTMLElement} host <fancy-select> element.
+ * @param {HTMLSelectElement} select Private <select> element.
+ */
+const copyElementOptions = (host, select) => {
+  const selected = select.options.length > 0
+    ? Array.prototype.filter.call(select.options, o => o.selected).map(o => o.value)
+    : null;
+
+  while (select.firstChild) {
+    select.removeChild(select.firstChild);
+  }
+  for (let i = 0; i < host.children.length; i += 1) {
+    if (host.children[i].tagName === 'OPTION' || host.children[i].tagName === 'OPTGROUP') {
+      select.appendChild(host.children[i].cloneNode(true));
     }
   }
 
-  // Toggle Fancy Select active state when it is clicked.
-  if (fsElements && typeof fsElements !== 'undefined') {
-    for (let i = 0; i < fsElements.length; i += 1) {
-      // Add click and keydown event listeners
-      const obj = fsObjects[i];
-      const element = fsElements[i];
+  if (selected !== null) {
+    setElementValues(select, selected);
+  }
+}
+
 
-      element.addEventListener('click', event => handleClick(event, obj, fsObjects));
-      element.addEventListener('focus', event => handleFocus(event, obj, fsObjects));
+/**
+ * Select the options of a <select> element that have the given values. A single <select> selects the first match only.
+ * @param {HTMLSelectElement} select <select> element.
+ * @param {Array} values Option values.
+ */
+const setElementValues = (select, values) => {
+  let found = false;
+  for (let j = 0; j < select.options.length; j += 1) {
+    const match = values.indexOf(select.options[j].value) > -1 && (select.multiple || !found);
+    found = found || match;
+    if (match || select.multiple) {
+      select.options[j].selected = match;
     }
+  }
+}
+
+
+/**
+ * Update the form value and validity of a <fancy-select> element from its private <select> element,
+ * and mirror the selection onto its own <option> children.
+ * @param {HTMLElement} host <fancy-select> element.
+ */
+const updateElementValue = (host) => {
+  const state = elementStates.get(host);
+  const options = state.select.options;
+  const values = Array.prototype.filter.call(options, o => o.selected).map(o => o.value);
+
+  if (state.select.multiple) {
+    const data = new FormData();
+    values.forEach(value => data.append(host.getAttribute('name') || '', value));
+    state.internals.setFormValue(data);
+  } else {
+    state.internals.setFormValue(values.length > 0 ? values[0] : null);
+  }
+
+  state.select.required = host.hasAttribute('required');
+  if (state.select.validity.valid) {
+    state.internals.setValidity({});
   } else {
-    console.log('Didn\'t find any Fancy Selects to add click and keydown handlers to.');
+    state.internals.setValidity({ valueMissing: true }, state.select.validationMessage, state.item.getElement());
+  }
+
+  const ownOptions = host.querySelectorAll('option');
+  for (let j = 0; j < ownOptions.length && j < options.length; j += 1) {
+    ownOptions[j].selected = options[j].selected;
+  }
+}
+
+
+/**
+ * Build the Fancy Select of a <fancy-select> element when it's connected to a document.
+ * @param {HTMLElement} host <fancy-select> element.
+ */
+const connectFancySelectElement = (host) => {
+  const state = elementStates.get(host);
+  if (state.item !== null) return;
+
+  elementCount += 1;
+  const select = document.createElement('select');
+  setAtt(select, 'name', 'fs-element-' + elementCount);
+  select.multiple = host.hasAttribute('multiple');
+  select.disabled = host.hasAttribute('disabled') || state.formDisabled;
+
+  // Labels of the element can't point into its shadow root, so the Fancy Select gets their text instead
+  const labels = Array.prototype.map.call(state.internals.labels, label => label.textContent.trim()).join(' ');
+  if (host.hasAttribute('aria-label') || labels) {
+    setAtt(select, 'aria-label', host.getAttribute('aria-label') || labels);
+  }
+
+  copyElementOptions(host, select);
+  if (host.hasAttribute('value')) {
+    setElementValues(select, [host.getAttribute('value')]);
   }
+  state.wrapper.appendChild(select);
+  shadowRoots.add(state.root);
+  copyThemeStyles(state.root);
 
-  // When the document body is clicked, close all Fancy Selects
-  document.body.addEventListener('click', event => handleClick(event, null, fsObjects));
+  state.select = select;
+  state.item = FancySelect.attach(select, host.settings);
 
-  // Make the "GO" button do something
-  document.querySelector('.fs-go').addEventListener('click', event => {
-    console.log(fsObjects.map(item => item.getText(item.getSelectedIndex())));
-    this.blur();
+  // The private <select> element's events stay in the shadow root, so the element fires its own
+  const forward = (event) => {
+    updateElementValue(host);
+    host.dispatchEvent(new Event(event.type, { bubbles: true }));
+  };
+  select.addEventListener('input', forward);
+  select.addEventListener('change', forward);
+
+  // Follow changes to the options, but not to the element's own attributes, see attributeChangedCallback
+  state.observer = new MutationObserver((mutations) => {
+    if (mutations.every(mutation => mutation.target === host && mutation.type === 'attributes')) return;
+    copyElementOptions(host, select);
+    state.item.sync();
+    updateElementValue(host);
   });
+  state.observer.observe(host, { attributes: true, childList: true, subtree: true, characterData: true });
+
+  updateElementValue(host);
+}
+
+
+/**
+ * Remove the Fancy Select of a <fancy-select> element when it's disconnected from its document.
+ * @param {HTMLElement} host <fancy-select> element.
+ */
+const disconnectFancySelectElement = (host) => {
+  const state = elementStates.get(host);
+  if (state.item === null) return;
+
+  state.observer.disconnect();
+  state.item.destroy();
+  state.wrapper.removeChild(state.select);
+  shadowRoots.delete(state.root);
+  state.select = null;
+  state.item = null;
+}
+
+
+/**
+ * Define the <fancy-select> custom element: a Fancy Select built from the element's <option> and <optgroup> children.
+ *
+ *   <fancy-select name="noun" value="lens">
+ *     <option value="film_camera">film camera</option>
+ *     <option value="lens">lens</option>
+ *   </fancy-select>
+ *
+ * The element is form-associated, so it submits its value, resets, and validates its required attribute like a
+ * <select> element without one being in the form. Its value, disabled, multiple and name attributes work like those
+ * of a <select> element, except that the value attribute selects the option with that value.
+ * Inside its shadow root, the options are copied into a private <select> element that the Fancy Select is attached to.
+ * Everything a Fancy Select does is built on a <select> element: parsing and syncing its options, the validation
+ * message of the required state, and the native touch picker. The private one lets the element reuse all of it
+ * instead of a second implementation. It isn't part of any form, as forms don't reach into shadow roots, so the
+ * element submits its value through ElementInternals instead.
+ * Set per-instance options (see FancySelect.defaults) with the settings property before the element is connected.
+ *
+ * The shadow root loads FancySelect.stylesheet. Style the element from outside with ::part(): select, placeholder,
+ * options, search, list, option (also option selected, option disabled and option active), group, group-label,
+ * chip, clear, create, status and validation-message.
+ * @returns {Function} Element class.
+ */
+const defineFancySelectElement = () => {
+  class FancySelectElement extends HTMLElement {
+    static get formAssociated() { return true; }
+
+    static get observedAttributes() { return ['value', 'disabled', 'multiple', 'name']; }
+
+    constructor() {
+      super();
+      const root = this.attachShadow({ mode: 'open', delegatesFocus: true });
+
+      const stylesheet = document.createElement('link');
+      setAtt(stylesheet, 'rel', 'stylesheet');
+      setAtt(stylesheet, 'href', FancySelect.stylesheet);
+      root.appendChild(stylesheet);
+
+      // The options are slotted but never shown. The Fancy Select shows them.
+      const options = document.createElement('div');
+      setAtt(options, 'hidden', 'hidden');
+      options.appendChild(document.createElement('slot'));
+      root.appendChild(options);
+
+      const wrapper = document.createElement('div');
+      setAtt(wrapper, 'class', 'fs-element');
+      root.appendChild(wrapper);
+
+      this.settings = {};
+      elementStates.set(this, {
+        internals: this.attachInternals(),
+        root,
+        wrapper,
+        select: null,
+        item: null,
+        observer: null,
+        formDisabled: false,
+      });
+    }
+
+    connectedCallback() {
+      connectFancySelectElement(this);
+    }
+
+    disconnectedCallback() {
+      disconnectFancySelectElement(this);
+    }
+
+    attributeChangedCallback(name, oldValue, newValue) {
+      const state = elementStates.get(this);
+      if (state.item === null || oldValue === newValue) return;
+
+      if (name === 'value') {
+        this.value = newValue;
+      } else if (name === 'disabled') {
+        // The Fancy Select follows its <select> element's disabled attribute
+        state.select.disabled = newValue !== null || state.formDisabled;
+      } else if (name === 'multiple') {
+        // Multiple mode is set when the Fancy Select is built. The rebuilt one keeps the selection.
+        const values = this.values;
+        disconnectFancySelectElement(this);
+        connectFancySelectElement(this);
+        this.values = values;
+      } else {
+        updateElementValue(this);
+      }
+    }
+
+    formDisabledCallback(disabled) {
+      const state = elementStates.get(this);
+      state.formDisabled = disabled;
+      if (state.select !== null) {
+        state.select.disabled = disabled || this.hasAttribute('disabled');
+      }
+    }
+
+    formResetCallback() {
+      const state = elementStates.get(this);
+      if (state.select === null) return;
+
+      for (let j = 0; j < state.select.options.length; j += 1) {
+        state.select.options[j].selected = state.select.options[j].defaultSelected;
+      }
+      if (this.hasAttribute('value')) {
+        setElementValues(state.select, [this.getAttribute('value')]);
+      }
+      state.item.sync();
+      updateElementValue(this);
+    }
+
+    formStateRestoreCallback(formState) {
+      this.values = formState instanceof FormData ? formState.getAll(this.getAttribute('name') || '') : [formState];
+    }
+
+    /**
+     * FancySelect object of the element, or null while it isn't connected.
+     */
+    get fancySelect() { return elementStates.get(this).item; }
+
+    /**
+     * Value of the first selected option, or an empty string. Setting it selects the option with that value.
+     */
+    get value() {
+      const values = this.values;
+      return values.length > 0 ? values[0] : '';
+    }
+
+    set value(value) {
+      this.values = [String(value)];
+    }
+
+    /**
+     * Values of all selected options. Setting them selects the options with those values.
+     */
+    get values() {
+      const select = elementStates.get(this).select;
+      return select ? Array.prototype.filter.call(select.options, o => o.selected).map(o => o.value) : [];
+    }
+
+    set values(values) {
+      const state = elementStates.get(this);
+      if (state.select === null) return;
+      setElementValues(state.select, values.map(String));
+      state.item.sync();
+      updateElementValue(this);
+    }
+
+    get selectedIndex() {
+      const select = elementStates.get(this).select;
+      return select ? select.selectedIndex : -1;
+    }
+
+    get type() { return this.hasAttribute('multiple') ? 'select-multiple' : 'select-one'; }
+
+    get name() { return this.getAttribute('name') || ''; }
+
+    set name(name) { setAtt(this, 'name', name); }
+
+    get disabled() { return this.hasAttribute('disabled'); }
 
-});
+    set disabled(disabled) { this.toggleAttribute('disabled', Boolean(disabled)); }
+
+    get multiple() { return this.hasAttribute('multiple'); }
+
+    set multiple(multiple) { this.toggleAttribute('multiple', Boolean(multiple)); }
+
+    get form() { return elementStates.get(this).internals.form; }
+
+    get labels() { return elementStates.get(this).internals.labels; }
+
+    get validity() { return elementStates.get(this).internals.validity; }
+
+    get validationMessage() { return elementStates.get(this).internals.validationMessage; }
+
+    get willValidate() { return elementStates.get(this).internals.willValidate; }
+
+    checkValidity() { return elementStates.get(this).internals.checkValidity(); }
+
+    reportValidity() { return elementStates.get(this).internals.reportValidity(); }
+  }
+
+  customElements.define('fancy-select', FancySelectElement);
+  return FancySelectElement;
+}
+
+// The <fancy-select> element class, if the browser supports custom elements
+FancySelect.Element = typeof window !== 'undefined' && window.customElements && !window.customElements.get('fancy-select')
+  ? defineFancySelectElement()
+  : null;
+
+
+// Let Node load the file too, e.g. to render Fancy Selects on the server with FancySelect.renderToString
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = FancySelect;
+}
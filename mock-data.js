@@ -0,0 +1,15 @@
+// Mock customer list for trying out Fancy Selects with a data source (see server.js).
+var firstNames = ['Aino', 'Eero', 'Helmi', 'Juho', 'Kaisa', 'Lauri', 'Mervi', 'Niilo', 'Oona', 'Pekka', 'Riikka', 'Sami', 'Tuuli', 'Ville'];
+var lastNames = ['Aaltonen', 'Heikkinen', 'Järvinen', 'Korhonen', 'Laine', 'Mäkinen', 'Nieminen', 'Virtanen'];
+
+var customers = [];
+for (var i = 0; i < lastNames.length; i += 1) {
+  for (var j = 0; j < firstNames.length; j += 1) {
+    customers.push({
+      value: 'customer-' + (customers.length + 1),
+      text: firstNames[j] + ' ' + lastNames[i],
+    });
+  }
+}
+
+module.exports = customers;
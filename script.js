@@ -7,6 +7,8 @@ function setDarkTheme() {
   const elem = document.querySelector('.fs-select-container');
   elem.classList.remove('light');
   elem.classList.add('dark');
+  // Switch all Fancy Selects to the dark theme
+  FancySelect.setTheme('dark');
 }
 
 
@@ -17,6 +19,8 @@ function setLightTheme() {
   const elem = document.querySelector('.fs-select-container');
   elem.classList.remove('dark');
   elem.classList.add('light');
+  // Switch all Fancy Selects to the light theme
+  FancySelect.setTheme('light');
 }
 
 
@@ -43,4 +47,17 @@ window.docReady(function () {
   for (var i = 0; i < cs.length; i++) {
     cs[i].addEventListener('click', handleColorSelect);
   }
+
+  // Build a sentence of Fancy Selects from the native <select> elements
+  var sentence = FancySelect.createSentence(document.getElementById('native-select'), 'I would like to {verb} {a} {adjective} {noun}.', {
+    submit: '.fs-go',
+    // Phones and narrow screens pick from a bottom sheet
+    select: { touchMode: 'sheet' },
+  });
+
+  // Make the "GO" button do something
+  sentence.on('submit', function (event) {
+    console.log(event.detail.text, event.detail.value);
+    document.querySelector('.fs-go').blur();
+  });
 });
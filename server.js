@@ -1,6 +1,101 @@
 var connect = require('connect');
 var serveStatic = require('serve-static');
+var url = require('url');
+var customers = require('./mock-data');
+var FancySelect = require('./fancy-select');
 
-connect().use(serveStatic(__dirname)).listen(1337, function () {
-  console.log('Server running on 1337...');
-});
\ No newline at end of file
+var pageSize = 20;
+
+// Mock data source for Fancy Selects: /api/options?q=<query>&page=<page>
+// Add &delay=<ms> to simulate a slow connection and &fail=1 to simulate an error.
+function options(req, res) {
+  var query = url.parse(req.url, true).query;
+  var q = (query.q || '').toLowerCase();
+  var page = parseInt(query.page, 10) || 0;
+
+  var matches = customers.filter(function (customer) {
+    return customer.text.toLowerCase().indexOf(q) > -1;
+  });
+
+  setTimeout(function () {
+    if (query.fail) {
+      res.statusCode = 500;
+      res.end();
+      return;
+    }
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify(matches.slice(page * pageSize, (page + 1) * pageSize)));
+  }, parseInt(query.delay, 10) || 0);
+}
+
+// The sentence of the demo page, with the data of each select in it
+var sentence = [
+  'I would like to',
+  { name: 'verb', options: ['sell', 'buy', 'repair', 'donate'], texts: ['sell', 'buy', 'repair', 'donate'], selected: 0 },
+  'a',
+  { name: 'adjective', options: ['used', 'broken'], texts: ['used', 'broken'], selected: 0 },
+  {
+    name: 'noun',
+    options: ['film_camera', 'digital_camera', 'lens'],
+    texts: ['film camera', 'digital camera', 'lens'],
+    meta: [{ icon: 'photo_camera' }, { icon: 'camera_alt' }, { icon: 'camera' }],
+    selected: 0,
+  },
+  '.',
+];
+
+// Native <select> element of a select in the sentence. Pre-rendered markup hides it right away.
+function renderSelectElement(data) {
+  var options = data.options.map(function (value, j) {
+    var icon = data.meta ? ' data-icon="' + data.meta[j].icon + '"' : '';
+    var selected = j === data.selected ? ' selected="selected"' : '';
+    return '<option value="' + value + '"' + icon + selected + '>' + data.texts[j] + '</option>';
+  });
+  return '<select name="' + data.name + '" class="fs-select-origin" style="display: none">' + options.join('') + '</select>';
+}
+
+// Demo page with the Fancy Selects rendered on the server. The browser only attaches behavior to them.
+function prerendered(req, res) {
+  var content = sentence.map(function (part) {
+    if (typeof part === 'string') return part;
+    return '<div class="fancy-select">' + renderSelectElement(part) + FancySelect.renderToString(part) + '</div>';
+  });
+
+  res.setHeader('Content-Type', 'text/html; charset=utf-8');
+  res.end([
+    '<!DOCTYPE html>',
+    '<html lang="en">',
+    '<head>',
+    '  <meta charset="UTF-8">',
+    '  <meta name="viewport" content="width=device-width, initial-scale=1.0">',
+    '  <link rel="stylesheet" href="normalize.css">',
+    '  <link rel="stylesheet" href="style.css">',
+    '  <link rel="stylesheet" href="fancy-select.css">',
+    '  <title>Fancy Select - Pre-rendered</title>',
+    '</head>',
+    '<body>',
+    '  <main>',
+    '    <h1>pre-rendered</h1>',
+    '    <div class="fs-select-container light">',
+    '      ' + content.join('\n      '),
+    '    </div>',
+    '  </main>',
+    '  <script src="docready.js"></script>',
+    '  <script src="fancy-select.js"></script>',
+    '  <script>',
+    '    window.docReady(function () {',
+    '      FancySelect.attachAll(\'.fs-select-origin\', { hydrate: true });',
+    '    });',
+    '  </script>',
+    '</body>',
+    '</html>',
+  ].join('\n'));
+}
+
+connect()
+  .use('/api/options', options)
+  .use('/prerendered', prerendered)
+  .use(serveStatic(__dirname))
+  .listen(1337, function () {
+    console.log('Server running on 1337...');
+  });
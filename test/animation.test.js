@@ -0,0 +1,128 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { attach, keydown, keys, tick } = require('./helpers');
+
+const options = Array.from({ length: 12 }, (v, j) => `<option value="o${j}">Option ${j}</option>`).join('');
+
+const wait = time => new Promise(resolve => setTimeout(resolve, time));
+
+test('animation options become custom properties and a preset class', () => {
+  const { element } = attach(`<select name="s">${options}</select>`, { animation: 'fade', duration: 120, easing: 'linear', stagger: 10, maxStagger: 40 });
+  assert.equal(element.style.getPropertyValue('--fs-duration'), '120ms');
+  assert.equal(element.style.getPropertyValue('--fs-placeholder-duration'), '120ms');
+  assert.equal(element.style.getPropertyValue('--fs-ease'), 'linear');
+  assert.equal(element.style.getPropertyValue('--fs-stagger'), '10ms');
+  assert.equal(element.style.getPropertyValue('--fs-max-stagger'), '40ms');
+  assert.equal(element.classList.contains('fs-animation-fade'), true);
+});
+
+test('every option gets a stagger delay up to the longest delay', () => {
+  const { item, element } = attach(`<select name="s">${options}</select>`, { duration: 0, stagger: 10, maxStagger: 40 });
+  item.open();
+  const delays = Array.from(element.querySelectorAll('li[role="option"]')).map(li => li.style.getPropertyValue('--fs-delay'));
+  assert.deepEqual(delays, ['10ms', '20ms', '30ms', '40ms', '40ms', '40ms', '40ms', '40ms', '40ms', '40ms', '40ms', '40ms']);
+});
+
+test('afteropen and afterclose are emitted once the animations finish', async () => {
+  const { item } = attach(`<select name="s">${options}</select>`, { duration: 20, stagger: 5, maxStagger: 10 });
+  const events = [];
+  item.on('afteropen', () => events.push('afteropen'));
+  item.on('afterclose', () => events.push('afterclose'));
+
+  item.open();
+  await wait(15);
+  assert.deepEqual(events, []);
+  await wait(30);
+  assert.deepEqual(events, ['afteropen']);
+
+  item.close();
+  await wait(40);
+  assert.deepEqual(events, ['afteropen', 'afterclose']);
+});
+
+test('closing before opening finished emits only afterclose', async () => {
+  const { item, element } = attach(`<select name="s">${options}</select>`, { duration: 20 });
+  const events = [];
+  element.addEventListener('fs-afteropen', () => events.push('afteropen'));
+  element.addEventListener('fs-afterclose', () => events.push('afterclose'));
+
+  item.open();
+  item.close();
+  await wait(60);
+  assert.deepEqual(events, ['afterclose']);
+});
+
+test('users who prefer reduced motion get no animation delays', async () => {
+  const { window, item, element } = attach(`<select name="s">${options}</select>`, { duration: 500, stagger: 10, maxStagger: 40 });
+  window.matchMedia = query => ({ matches: query === '(prefers-reduced-motion: reduce)' });
+  const events = [];
+  item.on('afteropen', () => events.push('afteropen'));
+
+  item.open();
+  assert.equal(element.querySelector('li[role="option"]').style.getPropertyValue('--fs-delay'), '0ms');
+  await tick();
+  assert.deepEqual(events, ['afteropen']);
+});
+
+test('the none preset finishes right away', async () => {
+  const { item, element } = attach(`<select name="s">${options}</select>`, { animation: 'none', duration: 500 });
+  const events = [];
+  item.on('afterclose', () => events.push('afterclose'));
+  assert.equal(element.classList.contains('fs-animation-none'), true);
+
+  item.open();
+  item.close();
+  await tick();
+  assert.deepEqual(events, ['afterclose']);
+});
+
+test('focus moves back from the search input once the close animation finished', async () => {
+  const { window, item, element } = attach(`<select name="s">${options}</select>`, { search: true, duration: 30 });
+  const search = element.querySelector('.fs-search');
+  const events = [];
+  item.on('afterclose', () => events.push(window.document.activeElement === element ? 'element' : 'search'));
+
+  element.focus();
+  keydown(element, keys.down);
+  assert.equal(window.document.activeElement, search);
+
+  keydown(search, keys.escape);
+  assert.equal(item.getOpenState(), false);
+  assert.equal(window.document.activeElement, search);
+  await wait(60);
+  assert.equal(window.document.activeElement, element);
+  // Focus moved after the listeners of afterclose that were there before it
+  assert.deepEqual(events, ['search']);
+});
+
+test('without animation focus moves back right away', () => {
+  const { window, element } = attach(`<select name="s">${options}</select>`, { search: true, animation: 'none' });
+  element.focus();
+  keydown(element, keys.down);
+  keydown(element.querySelector('.fs-search'), keys.escape);
+  assert.equal(window.document.activeElement, element);
+});
+
+test('reopening before the close animation finished drops the pending focus move', async () => {
+  const { window, item, element } = attach(`<select name="s">${options}</select>`, { search: true, duration: 30 });
+  const search = element.querySelector('.fs-search');
+  // Count the afterclose listeners that are still waiting
+  let pending = 0;
+  const on = item.on;
+  const off = item.off;
+  item.on = (type, listener) => { if (type === 'afterclose') pending += 1; on(type, listener); };
+  item.off = (type, listener) => { if (type === 'afterclose') pending -= 1; off(type, listener); };
+
+  element.focus();
+  for (let j = 0; j < 3; j += 1) {
+    keydown(element, keys.down);
+    keydown(search, keys.escape);
+  }
+  assert.equal(pending, 1);
+
+  await wait(60);
+  assert.equal(pending, 0);
+  assert.equal(window.document.activeElement, element);
+});
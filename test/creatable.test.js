@@ -0,0 +1,78 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { attach, keydown, click, type, keys, plain, options } = require('./helpers');
+
+test('typing a new option offers to create it, and creating it selects it in the <select> element', () => {
+  const { window, item, select, element } = attach(`<form><select name="s">${options}</select></form>`, { creatable: true });
+  const search = element.querySelector('.fs-search');
+  const row = element.querySelector('.fs-create');
+  const created = [];
+  item.on('create', event => created.push(event.detail));
+  assert.equal(row.hasAttribute('hidden'), true);
+
+  item.open();
+  type(search, '  Fig  ');
+  assert.equal(row.hasAttribute('hidden'), false);
+  assert.equal(row.textContent, 'Create \'Fig\'');
+  assert.equal(element.querySelector('.fs-no-results').hasAttribute('hidden'), true);
+
+  click(row);
+  assert.deepEqual(plain(created), [{ index: 3, value: 'Fig', text: 'Fig' }]);
+  assert.deepEqual(plain(item.getOptions()), ['apple', 'banana', 'date', 'Fig']);
+  assert.equal(item.getValue(), 'Fig');
+  assert.equal(element.querySelector('.fs-placeholder').textContent, 'Fig');
+  // The new option submits with the form
+  assert.equal(select.options[3].value, 'Fig');
+  assert.equal(select.value, 'Fig');
+  assert.equal(new window.FormData(select.form).get('s'), 'Fig');
+  // The search starts over
+  assert.equal(search.value, '');
+  assert.equal(row.hasAttribute('hidden'), true);
+});
+
+test('Enter creates the typed option when nothing else matches', () => {
+  const { item, element } = attach(`<select name="s" multiple>${options}</select>`, { creatable: true });
+  const search = element.querySelector('.fs-search');
+  element.focus();
+  keydown(element, keys.down);
+  type(search, 'Kiwi');
+  keydown(search, keys.enter);
+  assert.deepEqual(plain(item.getValue()), ['banana', 'Kiwi']);
+});
+
+test('options that exist already, ignoring case and accents, can\'t be created', () => {
+  const { item, element } = attach(`<select name="s">${options}</select>`, { creatable: true });
+  const search = element.querySelector('.fs-search');
+  const row = element.querySelector('.fs-create');
+  item.open();
+
+  ['Apple', ' BANANA ', 'Dáte', 'date'].forEach((text) => {
+    type(search, text);
+    assert.equal(row.hasAttribute('hidden'), true, text);
+  });
+  type(search, 'Dates');
+  assert.equal(row.hasAttribute('hidden'), false);
+});
+
+test('the createOption hook normalizes or rejects typed options, and long ones are rejected', () => {
+  const { item, select, element } = attach(`<select name="s">${options}</select>`, {
+    creatable: true,
+    createMaxLength: 8,
+    createOption: text => (/\d/.test(text) ? null : { value: text.toLowerCase(), text }),
+  });
+  const search = element.querySelector('.fs-search');
+  const row = element.querySelector('.fs-create');
+  item.open();
+
+  type(search, 'Fig 2');
+  assert.equal(row.hasAttribute('hidden'), true);
+  type(search, 'Pineapples');
+  assert.equal(row.hasAttribute('hidden'), true);
+
+  type(search, 'Fig');
+  click(row);
+  assert.equal(select.value, 'fig');
+  assert.equal(item.getText(3), 'Fig');
+});
@@ -0,0 +1,129 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createWindow, tick, plain } = require('./helpers');
+
+const regions = {
+  fi: [{ value: 'uusimaa', text: 'Uusimaa' }, { value: 'lappi', text: 'Lappi' }],
+  se: [{ value: 'skane', text: 'Skåne' }, { value: 'norrbotten', text: 'Norrbotten' }],
+};
+const cities = {
+  uusimaa: ['Helsinki', 'Espoo'],
+  lappi: ['Rovaniemi'],
+  skane: ['Malmö'],
+};
+
+const page = `
+  <select name="city" data-fs-depends-on="region"></select>
+  <select name="country"><option value="fi">Finland</option><option value="se">Sweden</option></select>
+  <select name="region" data-fs-depends-on="country"><option value="lappi" selected>Lappi</option></select>
+`;
+
+// Attach in the order of the page, so that a dependent element comes before the element it depends on
+const attachPage = (body, options) => {
+  const window = createWindow(body);
+  const byName = {};
+  Array.from(window.document.querySelectorAll('select')).forEach((select) => {
+    const optionsFor = { region: regions, city: cities }[select.name];
+    byName[select.name] = window.FancySelect.attach(select, Object.assign({ optionsFor }, options));
+  });
+  return { window, byName };
+};
+
+test('dependent elements get the options for the value they depend on', () => {
+  const { byName } = attachPage(page);
+  assert.deepEqual(plain(byName.region.getOptions()), ['uusimaa', 'lappi']);
+  // The selection the element had stays
+  assert.equal(byName.region.getValue(), 'lappi');
+  assert.deepEqual(plain(byName.city.getOptions()), ['Rovaniemi']);
+  assert.equal(byName.region.getElement().querySelectorAll('li[role="option"]').length, 2);
+});
+
+test('changing a value cascades to the elements that depend on it', () => {
+  const { window, byName } = attachPage(page);
+  const changes = [];
+  window.document.querySelector('select[name="city"]').addEventListener('change', event => changes.push(event.target.value));
+
+  byName.country.setValue('se');
+  assert.deepEqual(plain(byName.region.getOptions()), ['skane', 'norrbotten']);
+  assert.equal(byName.region.getValue(), 'skane');
+  assert.equal(byName.city.getValue(), 'Malmö');
+  assert.equal(window.document.querySelector('select[name="city"]').value, 'Malmö');
+  assert.deepEqual(changes, ['Malmö']);
+  assert.equal(byName.city.getElement().querySelector('.fs-placeholder').textContent, 'Malmö');
+});
+
+test('a selection that is still an option stays, unless resetDependent is set', () => {
+  const body = `
+    <select name="category" multiple><option value="a" selected>A</option><option value="b">B</option></select>
+    <select name="sub" data-fs-depends-on="category"><option value="shared" selected>Shared</option></select>
+  `;
+  const optionsFor = { a: ['first', 'shared'], b: ['shared', 'only-b'] };
+
+  const window = createWindow(body);
+  const [category, sub] = window.FancySelect.attachAll('select', { optionsFor });
+  category.toggle(1);
+  assert.deepEqual(plain(sub.getOptions()), ['first', 'shared', 'shared', 'only-b']);
+  assert.equal(sub.getValue(), 'shared');
+
+  const resetting = createWindow(body);
+  const [category2, sub2] = resetting.FancySelect.attachAll('select', { optionsFor, resetDependent: true });
+  assert.equal(sub2.getValue(), 'shared');
+  category2.setValue(['b']);
+  assert.equal(sub2.getValue(), 'shared');
+  category2.setValue(['a']);
+  assert.equal(sub2.getValue(), 'first');
+});
+
+test('a loader function may return a promise, and only the latest response is used', async () => {
+  const window = createWindow(`
+    <select name="country"><option value="fi">Finland</option><option value="se">Sweden</option></select>
+    <select name="region" data-fs-depends-on="country"></select>
+  `);
+  const requests = [];
+  const optionsFor = value => new Promise(resolve => requests.push(() => resolve(regions[value])));
+  const [country, region] = window.FancySelect.attachAll('select', { optionsFor });
+
+  country.setValue('se');
+  assert.equal(requests.length, 2);
+  requests[1]();
+  requests[0]();
+  await tick();
+  assert.deepEqual(plain(region.getOptions()), ['skane', 'norrbotten']);
+});
+
+test('a loader whose promise resolves to nothing leaves no options', async () => {
+  const window = createWindow(`
+    <select name="country"><option value="fi">Finland</option><option value="no">Norway</option></select>
+    <select name="region" data-fs-depends-on="country"></select>
+  `);
+  const optionsFor = value => Promise.resolve(regions[value]);
+  const [country, region] = window.FancySelect.attachAll('select', { optionsFor });
+  await tick();
+  assert.deepEqual(plain(region.getOptions()), ['uusimaa', 'lappi']);
+
+  country.setValue('no');
+  await tick();
+  assert.deepEqual(plain(region.getOptions()), []);
+  assert.deepEqual(window.logs, []);
+});
+
+test('cycles and missing parents are reported', () => {
+  const window = createWindow(`
+    <select name="a" data-fs-depends-on="b"><option>1</option></select>
+    <select name="b" data-fs-depends-on="a"><option>1</option></select>
+    <select name="c" data-fs-depends-on="nothing"><option>1</option></select>
+  `);
+  window.FancySelect.attachAll('select', { optionsFor: {} });
+  assert.ok(window.logs.some(log => /cycle: b → a → b/.test(log)));
+  assert.ok(window.logs.some(log => /"c" depends on "nothing"/.test(log)));
+});
+
+test('destroying the element depended on unlinks its dependents', () => {
+  const { byName } = attachPage(page);
+  byName.country.destroy();
+  byName.region.setValue('uusimaa');
+  assert.deepEqual(plain(byName.city.getOptions()), ['Helsinki', 'Espoo']);
+  assert.deepEqual(plain(byName.region.getOptions()), ['uusimaa', 'lappi']);
+});
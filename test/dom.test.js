@@ -0,0 +1,295 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { attach, createWindow, keydown, click, keys, plain, optionsWithDisabled: options } = require('./helpers');
+
+const active = element => element.getAttribute('aria-activedescendant');
+const optionId = (element, index) => element.querySelector(`li[data-index="${index}"]`).id;
+
+test('the Fancy Select is built next to its hidden <select> element', () => {
+  const { select, element } = attach(`<div id="parent"><select name="s">${options}</select></div>`);
+  assert.equal(element.parentNode.id, 'parent');
+  assert.equal(select.style.display, 'none');
+  assert.equal(element.getAttribute('role'), 'combobox');
+  assert.equal(element.getAttribute('tabindex'), '0');
+  assert.equal(element.getAttribute('aria-controls'), element.querySelector('.fs-options-list').id);
+  assert.equal(element.querySelectorAll('li[role="option"]').length, 4);
+});
+
+test('the labels of the <select> element label the Fancy Select, and only the ids they got are removed', () => {
+  const { window, item, element } = attach(`<label id="own" for="s">Fruit</label><label>Pick one <select id="s" name="s">${options}</select></label>`);
+  const labels = window.document.querySelectorAll('label');
+  assert.equal(labels[1].id, item.getId() + '-label-1');
+  assert.equal(element.getAttribute('aria-labelledby'), 'own ' + labels[1].id);
+  assert.equal(element.querySelector('.fs-options-list').getAttribute('aria-labelledby'), 'own ' + labels[1].id);
+
+  item.destroy();
+  assert.equal(labels[0].id, 'own');
+  assert.equal(labels[1].hasAttribute('id'), false);
+});
+
+test('clicking the placeholder opens and closes the Fancy Select', () => {
+  const { item, element } = attach(`<select name="s">${options}</select>`);
+  click(element.querySelector('.fs-placeholder'));
+  assert.equal(item.getOpenState(), true);
+  assert.equal(element.getAttribute('aria-expanded'), 'true');
+  click(element.querySelector('.fs-placeholder'));
+  assert.equal(item.getOpenState(), false);
+  assert.equal(element.getAttribute('aria-expanded'), 'false');
+});
+
+test('clicking an option selects it and updates the <select> element', () => {
+  const { item, select, element } = attach(`<select name="s">${options}</select>`);
+  const events = [];
+  select.addEventListener('input', () => events.push('input'));
+  select.addEventListener('change', () => events.push('change'));
+
+  click(element.querySelector('.fs-placeholder'));
+  click(element.querySelector('li[data-index="3"]'));
+
+  assert.equal(item.getSelectedIndex(), 3);
+  assert.equal(select.value, 'date');
+  assert.deepEqual(events, ['input', 'change']);
+  assert.equal(element.querySelector('.fs-placeholder').textContent, 'Date');
+  assert.equal(element.querySelector('li[data-index="3"]').getAttribute('aria-selected'), 'true');
+  assert.equal(element.querySelector('li[data-index="1"]').getAttribute('aria-selected'), 'false');
+  assert.equal(item.getOpenState(), false);
+});
+
+test('clicking a disabled option does nothing', () => {
+  const { item, select, element } = attach(`<select name="s">${options}</select>`);
+  click(element.querySelector('.fs-placeholder'));
+  click(element.querySelector('li[data-index="2"]'));
+  assert.equal(item.getSelectedIndex(), 1);
+  assert.equal(select.value, 'banana');
+});
+
+test('selecting the selected option fires no change event', () => {
+  const { select, element } = attach(`<select name="s">${options}</select>`);
+  let changes = 0;
+  select.addEventListener('change', () => { changes += 1; });
+  click(element.querySelector('.fs-placeholder'));
+  click(element.querySelector('li[data-index="1"]'));
+  assert.equal(changes, 0);
+});
+
+test('clicking outside closes every open Fancy Select', () => {
+  const window = createWindow(`<p id="outside">Text</p><select name="a">${options}</select><select name="b">${options}</select>`);
+  const [a, b] = window.FancySelect.attachAll('select');
+  a.open();
+  b.open();
+  click(window.document.getElementById('outside'));
+  assert.equal(a.getOpenState(), false);
+  assert.equal(b.getOpenState(), false);
+});
+
+test('opening a Fancy Select closes the others', () => {
+  const window = createWindow(`<select name="a">${options}</select><select name="b">${options}</select>`);
+  const [a, b] = window.FancySelect.attachAll('select');
+  click(a.getElement().querySelector('.fs-placeholder'));
+  click(b.getElement().querySelector('.fs-placeholder'));
+  assert.equal(a.getOpenState(), false);
+  assert.equal(b.getOpenState(), true);
+});
+
+test('focusing a Fancy Select closes the others', () => {
+  const window = createWindow(`<select name="a">${options}</select><select name="b">${options}</select>`);
+  const [a, b] = window.FancySelect.attachAll('select');
+  a.open();
+  b.getElement().focus();
+  assert.equal(a.getOpenState(), false);
+});
+
+test('focus leaving the Fancy Select closes it, focus moving within it does not', () => {
+  const { window, item, element } = attach(`<select name="s">${options}</select><button>Next</button>`, { search: true });
+  const focusout = relatedTarget => element.dispatchEvent(new window.FocusEvent('focusout', { bubbles: true, relatedTarget }));
+
+  click(element.querySelector('.fs-placeholder'));
+  focusout(element.querySelector('.fs-search'));
+  assert.equal(item.getOpenState(), true);
+  focusout(window.document.querySelector('button'));
+  assert.equal(item.getOpenState(), false);
+
+  item.open();
+  focusout(null);
+  assert.equal(item.getOpenState(), false);
+});
+
+test('disabled Fancy Selects can\'t be opened or focused', () => {
+  const { window, item, element } = attach(`<select name="s" disabled>${options}</select>`);
+  click(element.querySelector('.fs-placeholder'));
+  keydown(element, keys.down);
+  assert.equal(item.getOpenState(), false);
+  element.focus();
+  assert.notEqual(window.document.activeElement, element);
+});
+
+test('in multiple mode clicks toggle options and keep the Fancy Select open', () => {
+  const { item, select, element } = attach(`<select name="s" multiple>${options}</select>`);
+  click(element.querySelector('.fs-placeholder'));
+  click(element.querySelector('li[data-index="0"]'));
+  click(element.querySelector('li[data-index="3"]'));
+  click(element.querySelector('li[data-index="1"]'));
+
+  assert.deepEqual(plain(item.getSelectedIndices()), [0, 3]);
+  assert.deepEqual(Array.from(select.selectedOptions).map(o => o.value), ['apple', 'date']);
+  assert.equal(element.querySelector('.fs-placeholder').textContent, '2 selected');
+  assert.equal(item.getOpenState(), true);
+});
+
+test('Shift-click selects the options between the last toggled option and this one', () => {
+  const { item, element } = attach(`<select name="s" multiple>${options}</select>`);
+  click(element.querySelector('.fs-placeholder'));
+  click(element.querySelector('li[data-index="3"]'));
+  click(element.querySelector('li[data-index="0"]'), { shiftKey: true });
+  // The disabled option is skipped
+  assert.deepEqual(plain(item.getValue()), ['apple', 'banana', 'date']);
+
+  // Options that replace the others don't start a range from an option that is gone
+  item.setOptions([{ value: 'kiwi' }, { value: 'lime' }]);
+  click(element.querySelector('li[data-index="1"]'), { shiftKey: true });
+  assert.deepEqual(plain(item.getValue()), ['lime']);
+  click(element.querySelector('li[data-index="0"]'), { shiftKey: true });
+  assert.deepEqual(plain(item.getValue()), ['kiwi', 'lime']);
+});
+
+test('the arrow keys open the Fancy Select and move between options, skipping disabled ones', () => {
+  const { item, element } = attach(`<select name="s">${options}</select>`);
+  element.focus();
+  keydown(element, keys.down);
+  assert.equal(item.getOpenState(), true);
+  assert.equal(active(element), optionId(element, 1));
+
+  keydown(element, keys.down);
+  assert.equal(active(element), optionId(element, 3));
+  keydown(element, keys.down);
+  assert.equal(active(element), optionId(element, 3));
+  keydown(element, keys.up);
+  keydown(element, keys.up);
+  assert.equal(active(element), optionId(element, 0));
+  assert.equal(item.getSelectedIndex(), 1);
+});
+
+test('Home and End move to the first and last options', () => {
+  const { element } = attach(`<select name="s">${options}</select>`);
+  element.focus();
+  keydown(element, keys.end);
+  assert.equal(active(element), optionId(element, 3));
+  keydown(element, keys.home);
+  assert.equal(active(element), optionId(element, 0));
+});
+
+test('Enter selects the active option and closes, keeping focus', () => {
+  const { window, item, select, element } = attach(`<select name="s">${options}</select>`);
+  element.focus();
+  keydown(element, keys.down);
+  keydown(element, keys.down);
+  keydown(element, keys.enter);
+
+  assert.equal(item.getSelectedIndex(), 3);
+  assert.equal(select.value, 'date');
+  assert.equal(item.getOpenState(), false);
+  assert.equal(element.hasAttribute('aria-activedescendant'), false);
+  assert.equal(window.document.activeElement, element);
+});
+
+test('Escape closes without changing the selection', () => {
+  const { item, element } = attach(`<select name="s">${options}</select>`);
+  element.focus();
+  keydown(element, keys.down);
+  keydown(element, keys.down);
+  keydown(element, keys.escape);
+  assert.equal(item.getOpenState(), false);
+  assert.equal(item.getSelectedIndex(), 1);
+});
+
+test('Tab selects the active option and lets focus move on', () => {
+  const { item, element } = attach(`<select name="s">${options}</select>`);
+  element.focus();
+  keydown(element, keys.down);
+  keydown(element, keys.up);
+  const event = keydown(element, keys.tab);
+  assert.equal(event.defaultPrevented, false);
+  assert.equal(item.getSelectedIndex(), 0);
+  assert.equal(item.getOpenState(), false);
+});
+
+test('typing jumps to the option that starts with the typed characters', () => {
+  const { item, element } = attach(`<select name="s">${options}</select>`);
+  element.focus();
+  keydown(element, 68, { key: 'd' });
+  assert.equal(item.getOpenState(), true);
+  assert.equal(active(element), optionId(element, 3));
+  keydown(element, 67, { key: 'c' });
+  assert.equal(active(element), optionId(element, 3));
+});
+
+test('the keyboard toggles options in multiple mode', () => {
+  const { item, element } = attach(`<select name="s" multiple>${options}</select>`);
+  element.focus();
+  keydown(element, keys.down);
+  keydown(element, keys.space);
+  keydown(element, keys.down);
+  keydown(element, keys.enter);
+  // Banana was selected, and the disabled Cherry is skipped
+  assert.deepEqual(plain(item.getSelectedIndices()), [3]);
+  assert.equal(item.getOpenState(), true);
+});
+
+test('scrolling and resizing the page only reposition open Fancy Selects', async () => {
+  const { window, item } = attach(`<select name="s">${options}</select>`);
+  const requestAnimationFrame = window.requestAnimationFrame;
+  let frames = 0;
+  window.requestAnimationFrame = (callback) => {
+    frames += 1;
+    return requestAnimationFrame(callback);
+  };
+
+  window.dispatchEvent(new window.Event('scroll'));
+  window.dispatchEvent(new window.Event('resize'));
+  assert.equal(frames, 0);
+
+  // Opening positions the panel in the next frame
+  item.open();
+  await new Promise(resolve => setTimeout(resolve, 50));
+  frames = 0;
+  window.dispatchEvent(new window.Event('scroll'));
+  assert.equal(frames, 1);
+});
+
+test('narrow screens open the options list unless a touch picker is asked for', () => {
+  const narrow = (settings) => {
+    const window = createWindow(`<select name="s">${options}</select>`);
+    Object.defineProperty(window, 'innerWidth', { value: 400 });
+    const item = window.FancySelect.attach(window.document.querySelector('select'), settings);
+    click(item.getElement().querySelector('.fs-placeholder'));
+    return { window, item };
+  };
+
+  let { window, item } = narrow();
+  assert.equal(item.getOpenState(), true);
+  assert.equal(window.document.querySelector('.fs-sheet'), null);
+
+  ({ window, item } = narrow({ touchMode: 'sheet' }));
+  assert.equal(item.getOpenState(), false);
+  assert.notEqual(window.document.querySelector('.fs-sheet'), null);
+});
+
+test('Delete clears the selection of clearable elements', () => {
+  const { item, select, element } = attach(`<select name="s" multiple>${options}</select>`, { clearable: true });
+  assert.equal(element.querySelector('.fs-clear').hidden, false);
+  element.focus();
+  keydown(element, 46);
+  assert.deepEqual(plain(item.getSelectedIndices()), []);
+  assert.equal(select.selectedOptions.length, 0);
+  assert.equal(element.querySelector('.fs-clear').hidden, true);
+});
+
+test('single elements without an empty option have nothing to clear to', () => {
+  const { item, element } = attach(`<select name="s">${options}</select>`, { clearable: true });
+  assert.equal(element.querySelector('.fs-clear').hidden, true);
+  element.focus();
+  keydown(element, 8);
+  assert.equal(item.getValue(), 'banana');
+});
@@ -0,0 +1,140 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createWindow, click, tick, plain, options } = require('./helpers');
+
+/**
+ * Create a page with <fancy-select> elements. jsdom's ElementInternals can't set form values or validity,
+ * so they are recorded on the element instead, as formValue and validityFlags.
+ * @param {string} body HTML of the page's <body>
+ * @returns {Object} The window and its first <fancy-select> element.
+ */
+const createElementPage = (body) => {
+  const window = createWindow('');
+  const proto = window.ElementInternals.prototype;
+  proto.setFormValue = function setFormValue(value) { this.shadowRoot.host.formValue = value; };
+  proto.setValidity = function setValidity(flags) { this.shadowRoot.host.validityFlags = flags; };
+  window.document.body.innerHTML = body;
+  return { window, host: window.document.querySelector('fancy-select') };
+};
+
+test('the element builds a Fancy Select in its shadow root and sets its form value', () => {
+  const { host } = createElementPage(`<form><fancy-select name="fruit">${options}</fancy-select></form>`);
+  const item = host.fancySelect;
+  assert.equal(item.getValue(), 'banana');
+  assert.equal(host.shadowRoot.querySelector('.fs-select'), item.getElement());
+  assert.equal(host.value, 'banana');
+  assert.equal(host.formValue, 'banana');
+});
+
+test('choosing an option updates the form value and fires change on the element', () => {
+  const { host } = createElementPage(`<form><fancy-select name="fruit">${options}</fancy-select></form>`);
+  const changes = [];
+  host.addEventListener('change', () => changes.push(host.value));
+
+  click(host.fancySelect.getElement().querySelector('li[data-index="2"]'));
+  assert.deepEqual(changes, ['date']);
+  assert.equal(host.formValue, 'date');
+  assert.equal(host.querySelectorAll('option')[2].selected, true);
+});
+
+test('multiple elements submit every selected value under their name', () => {
+  const { host } = createElementPage('<fancy-select name="fruit" multiple><option value="a" selected>A</option><option value="b" selected>B</option></fancy-select>');
+  assert.deepEqual(plain(host.formValue.getAll('fruit')), ['a', 'b']);
+  assert.deepEqual(plain(host.values), ['a', 'b']);
+});
+
+test('switching multiple mode keeps the selection', async () => {
+  const { host } = createElementPage(`<fancy-select name="fruit">${options}</fancy-select>`);
+  host.value = 'date';
+  host.setAttribute('multiple', '');
+  await tick();
+  assert.equal(host.fancySelect.isMultiple(), true);
+  assert.deepEqual(plain(host.values), ['date']);
+  assert.deepEqual(plain(host.fancySelect.getValue()), ['date']);
+
+  host.values = ['apple', 'date'];
+  host.removeAttribute('multiple');
+  await tick();
+  assert.equal(host.fancySelect.isMultiple(), false);
+  assert.equal(host.value, 'apple');
+  assert.equal(host.fancySelect.getValue(), 'apple');
+});
+
+test('resetting the form restores the options selected when the page loaded', () => {
+  const { host } = createElementPage(`<form><fancy-select name="fruit">${options}</fancy-select></form>`);
+  host.value = 'apple';
+  assert.equal(host.fancySelect.getValue(), 'apple');
+
+  // The browser calls this when the form resets
+  host.formResetCallback();
+  assert.equal(host.value, 'banana');
+  assert.equal(host.fancySelect.getValue(), 'banana');
+  assert.equal(host.formValue, 'banana');
+});
+
+test('the disabled attribute and disabled fieldsets disable the element', async () => {
+  const { host } = createElementPage(`<fancy-select name="fruit">${options}</fancy-select>`);
+  host.disabled = true;
+  await tick();
+  assert.equal(host.fancySelect.isDisabled(), true);
+  assert.equal(host.fancySelect.getElement().classList.contains('fs-disabled'), true);
+
+  host.disabled = false;
+  await tick();
+  assert.equal(host.fancySelect.isDisabled(), false);
+
+  // The browser calls this when a <fieldset> around the element is disabled
+  host.formDisabledCallback(true);
+  await tick();
+  assert.equal(host.fancySelect.isDisabled(), true);
+});
+
+test('changes to the slotted options are followed', async () => {
+  const { window, host } = createElementPage(`<fancy-select name="fruit">${options}</fancy-select>`);
+  const option = window.document.createElement('option');
+  option.value = 'fig';
+  option.textContent = 'Fig';
+  host.appendChild(option);
+  host.querySelector('option[value="apple"]').textContent = 'Green apple';
+  await tick();
+
+  const item = host.fancySelect;
+  assert.deepEqual(plain(item.getOptions()), ['apple', 'banana', 'date', 'fig']);
+  assert.equal(item.getText(0), 'Green apple');
+  // The selection stays
+  assert.equal(item.getValue(), 'banana');
+  assert.equal(item.getElement().querySelectorAll('li[role="option"]').length, 4);
+});
+
+test('a required element without a value is invalid', () => {
+  const { host } = createElementPage('<fancy-select name="fruit" required><option value="">Choose</option><option value="a">A</option></fancy-select>');
+  assert.equal(host.validityFlags.valueMissing, true);
+  host.value = 'a';
+  assert.equal(host.validityFlags.valueMissing, undefined);
+});
+
+test('disconnecting the element removes its Fancy Select', () => {
+  const { host } = createElementPage(`<fancy-select name="fruit">${options}</fancy-select>`);
+  const element = host.fancySelect.getElement();
+  host.remove();
+  assert.equal(host.fancySelect, null);
+  assert.equal(element.isConnected, false);
+});
+
+test('registered themes reach the shadow root of the element', () => {
+  const { window, host } = createElementPage(`<fancy-select name="fruit">${options}</fancy-select>`);
+  window.FancySelect.registerTheme('brand', { accentColor: 'rebeccapurple' });
+  host.fancySelect.setTheme('brand');
+  const element = host.fancySelect.getElement();
+  assert.equal(element.getAttribute('data-fs-theme'), 'brand');
+  const css = Array.from(host.shadowRoot.querySelectorAll('style')).map(style => style.textContent).join('');
+  assert.match(css, /\.fs-select\[data-fs-theme~="brand"\] \{ --fs-accent-color: rebeccapurple; \}/);
+
+  // Elements connected later get the themes registered before
+  const later = window.document.createElement('fancy-select');
+  later.innerHTML = options;
+  window.document.body.appendChild(later);
+  assert.match(later.shadowRoot.querySelector('style').textContent, /--fs-accent-color: rebeccapurple/);
+});
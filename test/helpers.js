@@ -0,0 +1,124 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { JSDOM, VirtualConsole } = require('jsdom');
+
+const source = fs.readFileSync(path.join(__dirname, '..', 'fancy-select.js'), 'utf8');
+
+/**
+ * Create a browser window with fancy-select.js loaded into it.
+ * Messages the page logs are collected instead of printed, e.g. the warnings of elements that can't be parsed.
+ * @param {string} body HTML of the page's <body>
+ * @param {string} [url] URL of the page. Pages have an origin, so that they can use localStorage.
+ * @returns {Window} Window with a logs array of the messages logged in it.
+ */
+function createWindow(body, url) {
+  const logs = [];
+  const virtualConsole = new VirtualConsole();
+  ['log', 'warn', 'error'].forEach((type) => {
+    virtualConsole.on(type, (...args) => logs.push(args.join(' ')));
+  });
+  // jsdom can't measure text on a canvas. Fancy Select sizes itself without it.
+  virtualConsole.on('jsdomError', (error) => {
+    if (!/Not implemented/.test(error.message)) logs.push(error.message);
+  });
+
+  const dom = new JSDOM(`<!DOCTYPE html><html><head></head><body>${body}</body></html>`, {
+    url: url || 'http://localhost/',
+    runScripts: 'dangerously',
+    pretendToBeVisual: true,
+    virtualConsole,
+  });
+  const { window } = dom;
+  window.logs = logs;
+
+  const script = window.document.createElement('script');
+  script.textContent = source;
+  window.document.head.appendChild(script);
+
+  return window;
+}
+
+/**
+ * Attach a Fancy Select to the first <select> element of a new page.
+ * @param {string} body HTML of the page's <body>
+ * @param {Object} [options] Per-instance options
+ * @returns {Object} The window, the native <select> element, the FancySelect object and its DOM element.
+ */
+function attach(body, options) {
+  const window = createWindow(body);
+  const select = window.document.querySelector('select');
+  const item = window.FancySelect.attach(select, options);
+  return { window, select, item, element: item ? item.getElement() : null };
+}
+
+/**
+ * Dispatch a keydown event. The keyboard handler reads keyCode, which jsdom doesn't set from the event init.
+ * @param {HTMLElement} target Element that has focus
+ * @param {number} keyCode Key code
+ * @param {Object} [init] Other event properties, e.g. { key: 'a' } or { shiftKey: true }
+ * @returns {KeyboardEvent} The dispatched event.
+ */
+function keydown(target, keyCode, init) {
+  const window = target.ownerDocument.defaultView;
+  const event = new window.KeyboardEvent('keydown', Object.assign({ bubbles: true, cancelable: true }, init));
+  Object.defineProperty(event, 'keyCode', { value: keyCode });
+  target.dispatchEvent(event);
+  return event;
+}
+
+/**
+ * Wait until mutation observers and timers of zero delay have run.
+ * @returns {Promise} Resolves on the next task.
+ */
+function tick() {
+  return new Promise(resolve => setTimeout(resolve, 0));
+}
+
+/**
+ * Copy a value from the page into a plain value of the test, so that deepEqual can compare it.
+ * Arrays and objects of the page have prototypes of their own.
+ * @param {*} value JSON-compatible value
+ * @returns {*} Copy of the value.
+ */
+function plain(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Dispatch a click event that bubbles, also on elements that have no click() method.
+ * @param {HTMLElement} element Element to click
+ * @param {Object} [init] Other event properties, e.g. { shiftKey: true }
+ */
+function click(element, init) {
+  element.dispatchEvent(new element.ownerDocument.defaultView.MouseEvent('click', Object.assign({ bubbles: true }, init)));
+}
+
+/**
+ * Type into an input: set its value and dispatch the input event the browser would.
+ * @param {HTMLInputElement} input Input element, e.g. the search input of a Fancy Select
+ * @param {string} text The input's new value
+ */
+function type(input, text) {
+  input.value = text;
+  input.dispatchEvent(new input.ownerDocument.defaultView.Event('input', { bubbles: true }));
+}
+
+// Key codes the keyboard handler knows
+const keys = {
+  enter: 13, escape: 27, space: 32, pageUp: 33, pageDown: 34, end: 35, home: 36, up: 38, down: 40, tab: 9,
+  backspace: 8, delete: 46,
+};
+
+// Options of most tests, with the second one selected
+const options = `
+  <option value="apple">Apple</option>
+  <option value="banana" selected>Banana</option>
+  <option value="date">Date</option>
+`;
+
+// The same options with a disabled one among them
+const optionsWithDisabled = options.replace('<option value="date">', '<option value="cherry" disabled>Cherry</option>\n  <option value="date">');
+
+module.exports = { createWindow, attach, keydown, click, type, tick, plain, keys, options, optionsWithDisabled };
@@ -0,0 +1,124 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createWindow, attach, plain } = require('./helpers');
+
+const fruits = `
+  <option value="">Choose</option>
+  <option value="orange">Orange</option>
+  <option value="apple">Apple</option>
+  <option value="eclair" selected>Éclair</option>
+`;
+
+test('built-in texts are English by default', () => {
+  const { item, element } = attach(`<select name="s" multiple>${fruits}</select>`, { search: true });
+  assert.equal(item.getLocale(), 'en');
+  assert.equal(element.querySelector('.fs-search').getAttribute('placeholder'), 'Search');
+  assert.equal(element.querySelector('.fs-no-results').textContent, 'No results');
+
+  item.setValue(['apple', 'orange']);
+  assert.equal(element.querySelector('.fs-placeholder').textContent, '2 selected');
+  item.setValue([]);
+  assert.equal(element.querySelector('.fs-placeholder').textContent, 'None selected');
+});
+
+test('the locale follows the lang attribute and picks texts by plural category', () => {
+  const window = createWindow(`<form lang="fi-FI"><select name="s" multiple>${fruits}</select></form>`);
+  window.FancySelect.registerMessages('fi', {
+    noResults: 'Ei tuloksia',
+    selected: { one: '{count} valittu', other: '{count} valittua' },
+  });
+  const item = window.FancySelect.attach(window.document.querySelector('select'), { search: true });
+  const element = item.getElement();
+
+  assert.equal(item.getLocale(), 'fi-FI');
+  assert.equal(element.querySelector('.fs-no-results').textContent, 'Ei tuloksia');
+  // Texts the locale doesn't have are English
+  assert.equal(element.querySelector('.fs-search').getAttribute('placeholder'), 'Search');
+
+  item.setValue(['apple', 'orange', 'eclair']);
+  assert.equal(element.querySelector('.fs-placeholder').textContent, '3 valittua');
+});
+
+test('malformed lang attributes fall back to English', () => {
+  const window = createWindow(`<form lang="en_US"><select name="s" multiple>${fruits}</select></form><p id="sentence" lang="en_US"></p>`);
+  const item = window.FancySelect.attach(window.document.querySelector('select'), { sort: true });
+  assert.equal(item.getLocale(), 'en');
+  assert.deepEqual(plain(item.getOptions()), ['', 'apple', 'eclair', 'orange']);
+  item.setValue(['apple', 'orange']);
+  assert.equal(item.getElement().querySelector('.fs-placeholder').textContent, '2 selected');
+
+  const sentence = window.FancySelect.createSentence(window.document.getElementById('sentence'), '{count} {noun:count}', {
+    slots: { count: ['1', '2'], noun: ['lens'] },
+  });
+  sentence.setValue({ count: '2' });
+  assert.equal(sentence.getText(), '2 lenses');
+});
+
+test('the messages and text options replace texts of a single element', () => {
+  const { item, element } = attach(`<select name="s" multiple>${fruits}</select>`, {
+    search: true,
+    locale: 'de',
+    noResultsText: 'Nothing here',
+    messages: { selected: '{count} chosen' },
+  });
+  assert.equal(element.querySelector('.fs-no-results').textContent, 'Nothing here');
+  item.setValue(['apple', 'orange']);
+  assert.equal(element.querySelector('.fs-placeholder').textContent, '2 chosen');
+});
+
+test('the sort option sorts the options of both elements in the locale', () => {
+  const { item, select, element } = attach(`<select name="s">${fruits}</select>`, { sort: true });
+  assert.deepEqual(plain(item.getOptions()), ['', 'apple', 'eclair', 'orange']);
+  assert.deepEqual(Array.from(select.options).map(o => o.value), ['', 'apple', 'eclair', 'orange']);
+  assert.deepEqual(Array.from(element.querySelectorAll('li[role="option"]')).map(li => li.textContent), ['Choose', 'Apple', 'Éclair', 'Orange']);
+  assert.equal(item.getValue(), 'eclair');
+  assert.equal(select.value, 'eclair');
+});
+
+test('options added later are sorted in', () => {
+  const { window, item, select } = attach(`<select name="s"><optgroup label="Numbers"><option>10</option><option>9</option></optgroup></select>`, { sort: true });
+  assert.deepEqual(plain(item.getOptions()), ['9', '10']);
+
+  const option = window.document.createElement('option');
+  option.text = '1';
+  select.querySelector('optgroup').appendChild(option);
+  item.sync();
+  assert.deepEqual(plain(item.getOptions()), ['1', '9', '10']);
+  assert.equal(item.getGroups()[0].indices.length, 3);
+});
+
+test('the element follows the direction of the <select> element', () => {
+  const window = createWindow(`<div dir="rtl"><select name="a">${fruits}</select></div><select name="b">${fruits}</select>`);
+  const [rtl, ltr] = window.FancySelect.attachAll('select');
+  assert.equal(rtl.getElement().getAttribute('dir'), 'rtl');
+  assert.equal(ltr.getElement().getAttribute('dir'), 'ltr');
+
+  window.document.querySelector('div').setAttribute('dir', 'ltr');
+  rtl.sync();
+  assert.equal(rtl.getElement().getAttribute('dir'), 'ltr');
+});
+
+test('renderToString renders the texts of the locale and the direction', () => {
+  const window = createWindow('');
+  window.FancySelect.registerMessages('ar', { noResults: 'لا توجد نتائج' });
+  const html = window.FancySelect.renderToString({ name: 's', options: ['a'], texts: ['A'], selected: 0, dir: 'rtl' }, { search: true, locale: 'ar' });
+  assert.match(html, /dir="rtl"/);
+  assert.match(html, /لا توجد نتائج/);
+});
+
+test('the clear button is named in the locale and clears to the empty option', () => {
+  const window = createWindow(`<select name="s" lang="fi">${fruits}</select>`);
+  window.FancySelect.registerMessages('fi', { clear: 'Tyhjennä' });
+  const item = window.FancySelect.attach(window.document.querySelector('select'), { clearable: true });
+  const clear = item.getElement().querySelector('.fs-clear');
+  assert.equal(clear.getAttribute('aria-label'), 'Tyhjennä');
+  assert.equal(clear.hidden, false);
+
+  clear.click();
+  assert.equal(item.getValue(), '');
+  assert.equal(window.document.querySelector('select').value, '');
+  assert.equal(item.getOpenState(), false);
+  assert.equal(clear.hidden, true);
+});
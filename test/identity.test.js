@@ -0,0 +1,100 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createWindow, tick, plain } = require('./helpers');
+
+const attachAll = (body, options) => {
+  const window = createWindow(body);
+  const items = Array.from(window.document.querySelectorAll('select')).map(select => window.FancySelect.attach(select, options));
+  return { window, items };
+};
+
+const twoForms = `
+  <form id="a"><select name="size"><option value="s">S</option><option value="m">M</option></select></form>
+  <form id="b"><select name="size"><option value="s">S</option><option value="m">M</option></select></form>
+`;
+
+test('each element gets its own id', () => {
+  const { items } = attachAll(twoForms);
+  const ids = items.map(item => item.getElement().getAttribute('data-fs-id'));
+  assert.equal(ids[0], items[0].getId());
+  assert.notEqual(ids[0], ids[1]);
+  const listIds = items.map(item => item.getElement().querySelector('.fs-options-list').id);
+  assert.notEqual(listIds[0], listIds[1]);
+});
+
+test('elements with the same name in different forms are independent', () => {
+  const { window, items } = attachAll(twoForms);
+  const selects = window.document.querySelectorAll('select');
+
+  items[1].open();
+  assert.equal(items[0].getElement().classList.contains('fs-active'), false);
+  assert.equal(items[1].getElement().classList.contains('fs-active'), true);
+
+  items[1].getElement().querySelector('li[data-index="1"]').click();
+  assert.equal(selects[1].value, 'm');
+  assert.equal(selects[0].value, 's');
+  assert.equal(items[0].getValue(), 's');
+  assert.equal(items[0].getElement().querySelector('.fs-placeholder').textContent, 'S');
+});
+
+test('values are read and restored one form at a time', () => {
+  const { window, items } = attachAll(twoForms);
+  items[1].setValue('m');
+  const forms = window.document.querySelectorAll('form');
+  assert.deepEqual(plain(window.FancySelect.toJSON(forms[0])), { size: 's' });
+  assert.deepEqual(plain(window.FancySelect.toJSON(forms[1])), { size: 'm' });
+
+  window.FancySelect.fromJSON({ size: 'm' }, forms[0]);
+  window.FancySelect.fromJSON({ size: 's' }, forms[1]);
+  assert.equal(items[0].getValue(), 'm');
+  assert.equal(items[1].getValue(), 's');
+});
+
+test('elements without a name work, but are left out of saved values', () => {
+  const { window, items } = attachAll('<select><option value="a">A</option><option value="b">B</option></select><select name="n"><option>x</option></select>', { persist: 'localStorage' });
+  items[0].setValue('b');
+  assert.equal(window.document.querySelector('select').value, 'b');
+  assert.deepEqual(plain(window.FancySelect.toJSON()), { n: 'x' });
+  assert.deepEqual(Object.keys(plain(JSON.parse(window.localStorage.getItem('fancy-select') || '{}'))), []);
+});
+
+test('dependent elements in repeated rows depend on the element of their own row', async () => {
+  const row = `
+    <tr>
+      <td><select name="country"><option value="fi">Finland</option><option value="se">Sweden</option></select></td>
+      <td><select name="region" data-fs-depends-on="country"></select></td>
+    </tr>
+  `;
+  const { items } = attachAll(`<form><table>${row}${row}</table></form>`, {
+    optionsFor: { fi: ['Uusimaa', 'Lappi'], se: ['Skåne'] },
+  });
+  await tick();
+
+  items[2].setValue('se');
+  assert.deepEqual(plain(items[1].getOptions()), ['Uusimaa', 'Lappi']);
+  assert.deepEqual(plain(items[3].getOptions()), ['Skåne']);
+});
+
+test('hydrating takes over the markup of its own element', () => {
+  const window = createWindow('<div><select name="s"><option value="a">A</option></select><select name="s"><option value="a">A</option></select></div>');
+  const selects = window.document.querySelectorAll('select');
+  const parent = selects[0].parentElement;
+  parent.insertAdjacentHTML('beforeend', window.FancySelect.renderToString({ name: 's', options: ['a'], texts: ['A'], selected: 0, id: 'first' }));
+  parent.insertAdjacentHTML('beforeend', window.FancySelect.renderToString({ name: 's', options: ['a'], texts: ['A'], selected: 0, id: 'second' }));
+  const rendered = parent.querySelectorAll('.fs-select');
+
+  const first = window.FancySelect.attach(selects[0], { hydrate: true });
+  const second = window.FancySelect.attach(selects[1], { hydrate: true });
+  assert.equal(first.getElement(), rendered[0]);
+  assert.equal(second.getElement(), rendered[1]);
+  assert.equal(rendered[1].querySelector('.fs-options-list').id, 'second-listbox');
+});
+
+test('elements rendered with the same name get different ids', () => {
+  const window = createWindow('');
+  const render = () => window.FancySelect.renderToString({ name: 's', options: ['a'], texts: ['A'], selected: 0 });
+  const ids = [render(), render()].map(html => html.match(/aria-controls="([^"]+)"/)[1]);
+  assert.notEqual(ids[0], ids[1]);
+});
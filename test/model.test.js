@@ -0,0 +1,125 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { attach, createWindow, plain } = require('./helpers');
+
+/**
+ * Create a FancySelect object without a DOM element.
+ */
+function createItem(settings, disabledOptions) {
+  const window = createWindow('');
+  const item = new window.FancySelect('s', ['a', 'b', 'c'], ['A', 'B', 'C'], settings && settings.multiple ? [] : 0, false, settings, [], disabledOptions);
+  return { window, item };
+}
+
+test('select changes the selected index', () => {
+  const { item } = createItem();
+  assert.equal(item.select(2), 2);
+  assert.equal(item.getSelectedIndex(), 2);
+  assert.equal(item.isSelected(2), true);
+  assert.equal(item.getText(2), 'C');
+});
+
+test('select throws a TypeError for indices that are not numbers', () => {
+  const { window, item } = createItem();
+  assert.throws(() => item.select('1'), window.TypeError);
+  assert.throws(() => item.select(undefined), window.TypeError);
+});
+
+test('select throws a RangeError for indices out of range', () => {
+  const { window, item } = createItem();
+  assert.throws(() => item.select(-1), window.RangeError);
+  assert.throws(() => item.select(1.5), window.RangeError);
+  assert.throws(() => item.select(3), { name: 'RangeError', message: /Maximum index is 2/ });
+  assert.equal(item.getSelectedIndex(), 0);
+});
+
+test('select throws for disabled options', () => {
+  const { item } = createItem({}, [false, true, false]);
+  assert.throws(() => item.select(1), /disabled/);
+  assert.equal(item.getSelectedIndex(), 0);
+});
+
+test('toggle and selectRange are only available in multiple mode', () => {
+  const { item } = createItem();
+  assert.throws(() => item.toggle(1), /multiple mode/);
+  assert.throws(() => item.selectRange(0, 1), /multiple mode/);
+});
+
+test('toggle adds and removes indices in multiple mode', () => {
+  const { window, item } = createItem({ multiple: true });
+  assert.equal(item.toggle(2), true);
+  assert.equal(item.toggle(0), true);
+  assert.deepEqual(plain(item.getSelectedIndices()), [0, 2]);
+  assert.equal(item.toggle(2), false);
+  assert.equal(item.toggle(0, true), true);
+  assert.deepEqual(plain(item.getSelectedIndices()), [0]);
+  assert.throws(() => item.toggle(5), window.RangeError);
+});
+
+test('selectRange skips disabled options', () => {
+  const { item } = createItem({ multiple: true }, [false, true, false]);
+  assert.deepEqual(plain(item.selectRange(2, 0)), [0, 2]);
+});
+
+test('change listeners get the old and new selection', () => {
+  const { item } = createItem();
+  const events = [];
+  const listener = event => events.push(plain(event.detail));
+  item.on('change', listener);
+
+  item.select(1);
+  item.select(1);
+  item.off('change', listener);
+  item.select(2);
+
+  assert.equal(events.length, 1);
+  assert.equal(events[0].oldIndex, 0);
+  assert.equal(events[0].newIndex, 1);
+  assert.equal(events[0].oldValue, 'a');
+  assert.equal(events[0].newValue, 'b');
+});
+
+test('beforechange listeners can veto or redirect a change', () => {
+  const { item } = createItem();
+  item.on('beforechange', (event) => {
+    if (event.detail.newIndex === 1) event.preventDefault();
+    if (event.detail.newIndex === 2) event.detail.newIndex = 0;
+  });
+
+  assert.equal(item.select(1), 0);
+  item.on('beforechange', (event) => {
+    if (event.detail.newIndex === 0) event.detail.newIndex = 2;
+  });
+  assert.equal(item.select(2), 2);
+});
+
+test('events are dispatched on the element too', () => {
+  const { window, item, element } = attach('<select name="s"><option value="a">A</option><option value="b">B</option></select>');
+  const events = [];
+  window.document.body.addEventListener('fs-change', event => events.push(event.detail.newValue));
+  item.select(1);
+  assert.deepEqual(events, ['b']);
+  assert.equal(element.isConnected, true);
+});
+
+test('open and close follow the disabled and read-only states', () => {
+  const { item, element } = attach('<select name="s"><option value="a">A</option></select>');
+  const events = [];
+  item.on('open', () => events.push('open'));
+  item.on('close', () => events.push('close'));
+
+  item.open();
+  assert.equal(element.classList.contains('fs-active'), true);
+  assert.equal(element.getAttribute('aria-expanded'), 'true');
+  item.setDisabled(true);
+  assert.equal(item.getOpenState(), false);
+  item.open();
+  assert.equal(item.getOpenState(), false);
+  item.setDisabled(false);
+  item.setReadOnly(true);
+  item.open();
+  assert.equal(item.getOpenState(), false);
+  assert.deepEqual(events, ['open', 'close']);
+});
@@ -0,0 +1,109 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { attach, createWindow, plain } = require('./helpers');
+
+test('attach only accepts <select> elements', () => {
+  const window = createWindow('<div></div>');
+  assert.throws(() => window.FancySelect.attach(window.document.querySelector('div')), window.TypeError);
+  assert.throws(() => window.FancySelect.attach(null), window.TypeError);
+});
+
+test('a <select> element without a name is attached with an empty one', () => {
+  const { window, item, element } = attach('<select><option>a</option></select>');
+  assert.equal(item.getName(), '');
+  assert.equal(element.querySelector('.fs-placeholder').textContent, 'a');
+  assert.equal(window.document.querySelector('select').style.display, 'none');
+});
+
+test('the first option is selected when no option is marked selected', () => {
+  const { item, element } = attach('<select name="s"><option value="a">A</option><option value="b">B</option></select>');
+  assert.equal(item.getSelectedIndex(), 0);
+  assert.equal(element.querySelector('.fs-placeholder').textContent, 'A');
+});
+
+test('the option marked selected is selected', () => {
+  const { item, element } = attach('<select name="s"><option value="a">A</option><option value="b" selected>B</option></select>');
+  assert.equal(item.getSelectedIndex(), 1);
+  assert.equal(element.querySelector('.fs-placeholder').textContent, 'B');
+  assert.equal(element.querySelector('li[data-index="1"]').getAttribute('aria-selected'), 'true');
+});
+
+test('multiple mode starts with nothing selected when no option is marked selected', () => {
+  const { item, element } = attach('<select name="s" multiple><option value="a">A</option><option value="b">B</option></select>');
+  assert.equal(item.isMultiple(), true);
+  assert.deepEqual(plain(item.getSelectedIndices()), []);
+  assert.equal(item.getSelectedIndex(), -1);
+  assert.equal(element.querySelector('.fs-placeholder').textContent, 'None selected');
+});
+
+test('a <select> element without options has nothing selected', () => {
+  const { item, element } = attach('<select name="s"></select>');
+  assert.deepEqual(plain(item.getOptions()), []);
+  assert.deepEqual(plain(item.getSelectedIndices()), []);
+  assert.equal(element.querySelector('.fs-placeholder').textContent, '');
+  assert.equal(element.querySelectorAll('li[role="option"]').length, 0);
+});
+
+test('options with duplicate values are kept apart', () => {
+  const { item, element } = attach(`<select name="s">
+    <option value="x">First</option><option value="x" selected>Second</option><option value="y">Third</option>
+  </select>`);
+  assert.deepEqual(plain(item.getOptions()), ['x', 'x', 'y']);
+  assert.deepEqual(plain(item.getTexts()), ['First', 'Second', 'Third']);
+  assert.equal(item.getSelectedIndex(), 1);
+  assert.equal(element.querySelector('.fs-placeholder').textContent, 'Second');
+  assert.equal(element.querySelectorAll('li[data-value="x"]').length, 2);
+});
+
+test('option texts are never parsed as HTML', () => {
+  const { element } = attach('<select name="s"><option value="a">&lt;img src=x onerror=alert(1)&gt;</option></select>');
+  assert.equal(element.querySelector('img'), null);
+  assert.equal(element.querySelector('.fs-placeholder').textContent, '<img src=x onerror=alert(1)>');
+});
+
+test('options of an <optgroup> are grouped under its label', () => {
+  const { item, element } = attach(`<select name="s">
+    <option value="a">A</option>
+    <optgroup label="Group" disabled><option value="b">B</option><option value="c">C</option></optgroup>
+  </select>`);
+  assert.deepEqual(plain(item.getGroups()), [{ label: 'Group', disabled: true, indices: [1, 2] }]);
+  assert.equal(item.getGroupIndex(0), -1);
+  assert.equal(item.getGroupIndex(2), 0);
+  assert.equal(item.isOptionDisabled(1), true);
+
+  const group = element.querySelector('.fs-group');
+  assert.equal(group.querySelector('.fs-group-label').textContent, 'Group');
+  assert.equal(group.querySelectorAll('li[role="option"]').length, 2);
+});
+
+test('disabled options are marked disabled', () => {
+  const { item, element } = attach('<select name="s"><option value="a">A</option><option value="b" disabled>B</option></select>');
+  assert.deepEqual(plain(item.getDisabledOptions()), [false, true]);
+  assert.equal(element.querySelector('li[data-index="1"]').getAttribute('aria-disabled'), 'true');
+});
+
+test('the disabled, readonly and multiple attributes become settings', () => {
+  const window = createWindow('<select name="a" disabled><option>a</option></select><select name="b" readonly><option>b</option></select>');
+  const [a, b] = window.FancySelect.attachAll('select');
+  assert.equal(a.isDisabled(), true);
+  assert.equal(a.getElement().getAttribute('aria-disabled'), 'true');
+  assert.equal(a.getElement().hasAttribute('tabindex'), false);
+  assert.equal(b.isReadOnly(), true);
+  assert.equal(b.getElement().getAttribute('aria-readonly'), 'true');
+});
+
+test('option metadata comes from data-* attributes', () => {
+  const { item } = attach('<select name="s"><option value="a" data-icon="home" data-description="Desc">A</option><option value="b">B</option></select>');
+  assert.deepEqual(plain(item.getMeta()), [{ icon: 'home', description: 'Desc' }, {}]);
+});
+
+test('attachAll attaches to every match once', () => {
+  const window = createWindow('<select name="a" class="x"><option>a</option></select><select name="b" class="x"><option>b</option></select>');
+  const items = window.FancySelect.attachAll('.x');
+  assert.equal(items.length, 2);
+  assert.equal(window.FancySelect.attach(window.document.querySelector('select')), items[0]);
+  assert.equal(window.document.querySelectorAll('.fs-select').length, 2);
+  assert.deepEqual(window.FancySelect.getInstances(), items);
+});
@@ -0,0 +1,49 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { attach, plain } = require('./helpers');
+
+const wait = time => new Promise(resolve => setTimeout(resolve, time));
+
+// Source of 45 items in pages of 20 that records the pages asked for
+const createSource = (respond) => {
+  const pages = [];
+  const source = (query, page) => {
+    pages.push(page);
+    const items = [];
+    for (let i = page * 20; i < Math.min((page + 1) * 20, 45); i += 1) {
+      items.push({ value: 'v' + i, text: 'Item ' + i });
+    }
+    return Promise.resolve(respond ? respond(items, page) : items);
+  };
+  return { source, pages };
+};
+
+test('pages load until the list is filled, and a short page is the last one', async () => {
+  const { source, pages } = createSource();
+  // jsdom has no layout, so the list never fills and every page loads
+  const { item } = attach('<select name="s"></select>', { source });
+  item.open();
+  await wait(150);
+  assert.deepEqual(plain(pages), [0, 1, 2]);
+  assert.equal(item.getOptions().length, 45);
+});
+
+test('pages stop when the source says there are no more', async () => {
+  const { source, pages } = createSource((items, page) => ({ items, hasMore: page < 1 }));
+  const { item } = attach('<select name="s"></select>', { source });
+  item.open();
+  await wait(150);
+  assert.deepEqual(plain(pages), [0, 1]);
+  assert.equal(item.getOptions().length, 40);
+});
+
+test('closed lists don\'t load more pages', async () => {
+  const { source, pages } = createSource();
+  const { item } = attach('<select name="s"></select>', { source });
+  item.open();
+  item.close();
+  await wait(150);
+  assert.deepEqual(plain(pages), [0]);
+});
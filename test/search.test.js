@@ -0,0 +1,96 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { attach, keydown, type, keys } = require('./helpers');
+
+const page = `
+  <select name="s">
+    <optgroup label="Pastries">
+      <option value="eclair">Éclair</option>
+      <option value="creme">Crème brûlée</option>
+    </optgroup>
+    <optgroup label="Fruit">
+      <option value="apple">Apple</option>
+      <option value="banana">Banana</option>
+      <option value="pear">Pear</option>
+    </optgroup>
+  </select>
+`;
+
+const visible = element => Array.from(element.querySelectorAll('li[role="option"]:not([hidden])')).map(li => li.getAttribute('data-index'));
+const active = element => element.querySelector(`#${element.getAttribute('aria-activedescendant')}`).getAttribute('data-index');
+
+test('searching ignores case and accents', () => {
+  const { item, element } = attach(page, { search: true });
+  const search = element.querySelector('.fs-search');
+  item.open();
+
+  type(search, 'ECLAIR');
+  assert.deepEqual(visible(element), ['0']);
+  type(search, 'brulee');
+  assert.deepEqual(visible(element), ['1']);
+  type(search, 'crème');
+  assert.deepEqual(visible(element), ['1']);
+  type(search, '');
+  assert.deepEqual(visible(element), ['0', '1', '2', '3', '4']);
+});
+
+test('the matching part of each option is highlighted as written in the option', () => {
+  const { item, element } = attach(page, { search: true });
+  item.open();
+  type(element.querySelector('.fs-search'), 'ee');
+
+  const option = element.querySelector('li[data-index="1"]');
+  assert.equal(option.textContent, 'Crème brûlée');
+  assert.equal(option.querySelector('mark.fs-match').textContent, 'ée');
+
+  type(element.querySelector('.fs-search'), 'an');
+  assert.equal(element.querySelector('li[data-index="3"] mark').textContent, 'an');
+  // Hidden options aren't highlighted
+  assert.equal(element.querySelector('li[data-index="1"] mark'), null);
+});
+
+test('groups without matching options are hidden, and no results shows a row', () => {
+  const { item, element } = attach(page, { search: true });
+  const search = element.querySelector('.fs-search');
+  const groups = element.querySelectorAll('.fs-group');
+  const noResults = element.querySelector('.fs-no-results');
+  item.open();
+
+  type(search, 'pear');
+  assert.equal(groups[0].hasAttribute('hidden'), true);
+  assert.equal(groups[1].hasAttribute('hidden'), false);
+  assert.equal(noResults.hasAttribute('hidden'), true);
+
+  type(search, 'kiwi');
+  assert.equal(groups[1].hasAttribute('hidden'), true);
+  assert.equal(noResults.hasAttribute('hidden'), false);
+  assert.equal(noResults.textContent, 'No results');
+
+  type(search, '');
+  assert.equal(groups[0].hasAttribute('hidden'), false);
+  assert.equal(noResults.hasAttribute('hidden'), true);
+});
+
+test('the arrow keys skip options the search hides', () => {
+  const { item, element } = attach(page, { search: true });
+  const search = element.querySelector('.fs-search');
+  element.focus();
+  keydown(element, keys.down);
+
+  // Éclair, Crème brûlée and Pear
+  type(search, 'r');
+  assert.deepEqual(visible(element), ['0', '1', '4']);
+  assert.equal(active(element), '0');
+  keydown(search, keys.down);
+  keydown(search, keys.down);
+  assert.equal(active(element), '4');
+  keydown(search, keys.down);
+  assert.equal(active(element), '4');
+  keydown(search, keys.up);
+  assert.equal(active(element), '1');
+
+  keydown(search, keys.enter);
+  assert.equal(item.getValue(), 'creme');
+});
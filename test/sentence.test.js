@@ -0,0 +1,155 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createWindow, keydown, plain } = require('./helpers');
+
+const page = `
+  <p id="sentence">
+    I would like to
+    <select name="verb"><option value="sell" selected>sell</option><option value="buy">buy</option></select>
+    a
+    <select name="adjective"><option value="used">used</option><option value="old">old</option></select>
+    <select name="noun"><option value="film_camera">film camera</option><option value="lens">lens</option></select>.
+  </p>
+  <button id="go">GO</button>
+`;
+const template = 'I would like to {verb} {a} {adjective} {noun}.';
+
+const create = (body, sentenceTemplate, options) => {
+  const window = createWindow(body);
+  const sentence = window.FancySelect.createSentence(window.document.getElementById('sentence'), sentenceTemplate, options);
+  return { window, sentence };
+};
+
+test('a sentence puts the Fancy Selects of its slots in the text of the template', () => {
+  const { window, sentence } = create(page, template);
+  const container = window.document.getElementById('sentence');
+  const names = Array.from(container.querySelectorAll('.fs-select')).map(element => element.getAttribute('data-name'));
+  assert.deepEqual(names, ['verb', 'adjective', 'noun']);
+  assert.equal(container.classList.contains('fs-sentence'), true);
+  assert.equal(sentence.getText(), 'I would like to sell a used film camera.');
+  assert.deepEqual(plain(sentence.getValue()), { verb: 'sell', adjective: 'used', noun: 'film_camera' });
+});
+
+test('slots without a <select> element are made from the slots option', () => {
+  const { sentence } = create('<p id="sentence"></p>', 'Paint it {color}', {
+    slots: { color: ['red', { value: 'blue', text: 'deep blue' }] },
+  });
+  sentence.setValue({ color: 'blue' });
+  assert.equal(sentence.getText(), 'Paint it deep blue');
+  assert.equal(sentence.getSlots().color.getSelectElement().getAttribute('aria-label'), 'color');
+});
+
+test('templates with missing or repeated slots throw', () => {
+  const window = createWindow('<p id="sentence"></p>');
+  const container = window.document.getElementById('sentence');
+  assert.throws(() => window.FancySelect.createSentence(container, 'I want {noun}'), /has no <select> element or options/);
+  assert.throws(() => window.FancySelect.createSentence(container, '{x} and {x}', { slots: { x: ['a'] } }), /more than once/);
+  assert.throws(() => window.FancySelect.createSentence(container, '{x:y}', { slots: { x: ['a'] } }), /no such slot/);
+});
+
+test('articles agree with the word after them', () => {
+  const { sentence } = create('<p id="sentence"></p>', 'I want {a} {adjective} {noun}', {
+    slots: {
+      adjective: ['used', 'old', 'ugly', { value: 'hour-long', article: 'an' }, ''],
+      noun: ['apple', 'hour', 'unicorn'],
+    },
+  });
+  assert.equal(sentence.getText(), 'I want a used apple');
+  sentence.setValue({ adjective: 'old' });
+  assert.equal(sentence.getText(), 'I want an old apple');
+  sentence.setValue({ adjective: 'ugly' });
+  assert.equal(sentence.getText(), 'I want an ugly apple');
+  sentence.setValue({ adjective: 'hour-long' });
+  assert.equal(sentence.getText(), 'I want an hour-long apple');
+  // An empty slot leaves the article to the next word
+  sentence.setValue({ adjective: '', noun: 'unicorn' });
+  assert.equal(sentence.getText(), 'I want a unicorn');
+  sentence.setValue({ noun: 'hour' });
+  assert.equal(sentence.getText(), 'I want an hour');
+});
+
+test('counted slots show their options in plural unless the count is one', () => {
+  const { sentence } = create('<p id="sentence"></p>', 'I want {count} {noun:count}', {
+    slots: {
+      count: ['1', '2'],
+      noun: ['lens', 'battery', { value: 'mouse', plural: 'mice' }],
+    },
+  });
+  const noun = sentence.getSlots().noun;
+  assert.equal(sentence.getText(), 'I want 1 lens');
+
+  sentence.setValue({ count: '2' });
+  assert.equal(sentence.getText(), 'I want 2 lenses');
+  assert.deepEqual(plain(noun.getTexts()), ['lenses', 'batteries', 'mice']);
+  assert.equal(noun.getElement().querySelector('.fs-placeholder').textContent, 'lenses');
+  assert.equal(noun.getValue(), 'lens');
+
+  sentence.setValue({ count: '1', noun: 'mouse' });
+  assert.equal(sentence.getText(), 'I want 1 mouse');
+  assert.deepEqual(plain(noun.getTexts()), ['lens', 'battery', 'mouse']);
+});
+
+test('changes and submits are emitted with the text and value of the sentence', () => {
+  const { window, sentence } = create(page, template, { submit: '#go' });
+  const changes = [];
+  const submits = [];
+  sentence.on('change', event => changes.push(event.detail.text));
+  window.document.getElementById('sentence').addEventListener('fs-sentence-submit', event => submits.push(event.detail.value.noun));
+
+  sentence.setValue({ noun: 'lens' });
+  assert.deepEqual(changes, ['I would like to sell a used lens.']);
+
+  window.document.getElementById('go').click();
+  assert.deepEqual(submits, ['lens']);
+
+  sentence.on('submit', event => event.preventDefault());
+  assert.equal(sentence.submit(), false);
+
+  sentence.destroy();
+  window.document.getElementById('go').click();
+  assert.equal(submits.length, 2);
+  assert.equal(window.document.querySelectorAll('.fs-select').length, 0);
+});
+
+test('Tab moves from slot to slot in the order of the sentence', () => {
+  const { sentence } = create(page, template);
+  const slots = sentence.getSlots();
+  const elements = ['verb', 'adjective', 'noun'].map(name => slots[name].getElement());
+  elements.forEach(element => assert.equal(element.getAttribute('tabindex'), '0'));
+  // Each slot comes after the previous one in the document, which is the order Tab follows
+  assert.equal(elements[0].compareDocumentPosition(elements[1]) & 4, 4);
+  assert.equal(elements[1].compareDocumentPosition(elements[2]) & 4, 4);
+
+  // Tab in an open slot chooses the active option and lets focus move on
+  elements[0].focus();
+  keydown(elements[0], 40);
+  keydown(elements[0], 40);
+  keydown(elements[0], 9);
+  assert.equal(elements[0].classList.contains('fs-active'), false);
+  assert.equal(sentence.getValue().verb, 'buy');
+  assert.equal(sentence.getText(), 'I would like to buy a used film camera.');
+});
+
+test('slots whose <select> elements are attached already keep their Fancy Selects', () => {
+  const window = createWindow(page);
+  const [verb] = window.FancySelect.attachAll('select');
+  const sentence = window.FancySelect.createSentence(window.document.getElementById('sentence'), template);
+  assert.equal(sentence.getSlots().verb, verb);
+  assert.equal(verb.getElement().isConnected, true);
+  assert.equal(verb.getElement().parentNode, verb.getSelectElement().parentNode);
+  assert.equal(window.document.querySelectorAll('.fs-select').length, 3);
+
+  verb.setValue('buy');
+  assert.equal(sentence.getText(), 'I would like to buy a used film camera.');
+});
+
+test('slots that can\'t be attached throw', () => {
+  const window = createWindow('<p id="sentence"></p>');
+  window.FancySelect.attach = () => null;
+  assert.throws(
+    () => window.FancySelect.createSentence(window.document.getElementById('sentence'), 'Paint it {color}', { slots: { color: ['red'] } }),
+    /Couldn't build a Fancy Select for the sentence slot "color"/,
+  );
+});
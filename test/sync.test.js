@@ -0,0 +1,122 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { attach, click, tick, plain, options } = require('./helpers');
+
+test('a change event of the <select> element updates the Fancy Select', () => {
+  const { window, item, select, element } = attach(`<select name="s">${options}</select>`);
+  select.value = 'date';
+  select.dispatchEvent(new window.Event('change'));
+  assert.equal(item.getSelectedIndex(), 2);
+  assert.equal(element.querySelector('.fs-placeholder').textContent, 'Date');
+  assert.equal(element.querySelector('li[data-index="2"]').getAttribute('aria-selected'), 'true');
+});
+
+test('sync updates the Fancy Select after a script changed the value', () => {
+  const { item, select, element } = attach(`<select name="s">${options}</select>`);
+  select.selectedIndex = 0;
+  assert.equal(item.getSelectedIndex(), 1);
+  item.sync();
+  assert.equal(item.getSelectedIndex(), 0);
+  assert.equal(element.querySelector('.fs-placeholder').textContent, 'Apple');
+});
+
+test('added, removed and renamed options are rebuilt', async () => {
+  const { window, item, select, element } = attach(`<select name="s">${options}</select>`);
+  const option = window.document.createElement('option');
+  option.value = 'elderberry';
+  option.text = 'Elderberry';
+  select.appendChild(option);
+  select.removeChild(select.options[0]);
+  select.options[0].text = 'Blue banana';
+  await tick();
+
+  assert.deepEqual(plain(item.getOptions()), ['banana', 'date', 'elderberry']);
+  assert.deepEqual(Array.from(element.querySelectorAll('li[role="option"]')).map(li => li.textContent), ['Blue banana', 'Date', 'Elderberry']);
+  assert.equal(item.getSelectedIndex(), 0);
+  assert.equal(element.querySelector('.fs-placeholder').textContent, 'Blue banana');
+});
+
+test('the disabled attribute of the <select> element is followed', async () => {
+  const { item, select, element } = attach(`<select name="s">${options}</select>`);
+  item.open();
+  select.disabled = true;
+  await tick();
+  assert.equal(item.isDisabled(), true);
+  assert.equal(item.getOpenState(), false);
+  assert.equal(element.classList.contains('fs-disabled'), true);
+
+  select.disabled = false;
+  await tick();
+  assert.equal(item.isDisabled(), false);
+  assert.equal(element.getAttribute('tabindex'), '0');
+});
+
+test('selecting keeps the selected attributes, so that a form reset restores them', async () => {
+  const { window, item, select, element } = attach(`<form><select name="s">${options}</select></form>`);
+  click(element.querySelector('.fs-placeholder'));
+  click(element.querySelector('li[data-index="2"]'));
+  assert.equal(select.value, 'date');
+  assert.equal(select.options[1].defaultSelected, true);
+  assert.equal(select.options[2].defaultSelected, false);
+
+  window.document.querySelector('form').reset();
+  await new Promise(resolve => setTimeout(resolve, 10));
+  assert.equal(select.value, 'banana');
+  assert.equal(item.getSelectedIndex(), 1);
+  assert.equal(element.querySelector('.fs-placeholder').textContent, 'Banana');
+});
+
+test('an invalid <select> element marks the Fancy Select invalid until it is valid', async () => {
+  const { window, select, element } = attach(`<form><select name="s" required>
+    <option value="" selected>Please choose</option><option value="apple">Apple</option>
+  </select></form>`);
+  assert.equal(element.getAttribute('aria-required'), 'true');
+  assert.equal(element.classList.contains('fs-empty'), true);
+  assert.equal(element.hasAttribute('aria-invalid'), false);
+
+  assert.equal(window.document.querySelector('form').checkValidity(), false);
+  assert.equal(element.getAttribute('aria-invalid'), 'true');
+  assert.notEqual(element.querySelector('.fs-validation-message').textContent, '');
+  assert.equal(window.document.activeElement, element);
+
+  select.value = 'apple';
+  select.dispatchEvent(new window.Event('change'));
+  assert.equal(element.hasAttribute('aria-invalid'), false);
+  assert.equal(element.classList.contains('fs-empty'), false);
+});
+
+test('destroy removes the Fancy Select and shows the <select> element again', () => {
+  const { window, item, select, element } = attach(`<select name="s">${options}</select>`);
+  item.destroy();
+  assert.equal(element.isConnected, false);
+  assert.equal(select.style.display, '');
+  assert.equal(window.FancySelect.getInstances().length, 0);
+
+  // The <select> element's listeners are gone
+  select.value = 'date';
+  select.dispatchEvent(new window.Event('change'));
+  assert.equal(item.getSelectedIndex(), 1);
+});
+
+test('selecting doesn\'t sync the Fancy Select from its own changes to the <select> element', async () => {
+  const { item, select, element } = attach(`<select name="s">${options}</select>`);
+  const setData = item.setData;
+  let syncs = 0;
+  item.setData = (data) => {
+    syncs += 1;
+    setData(data);
+  };
+
+  click(element.querySelector('li[data-index="2"]'));
+  await tick();
+  assert.equal(select.value, 'date');
+  assert.equal(syncs, 0);
+
+  // Changes made by other scripts are still followed
+  select.value = 'apple';
+  select.dispatchEvent(new select.ownerDocument.defaultView.Event('change'));
+  assert.equal(syncs, 1);
+  assert.equal(item.getSelectedIndex(), 0);
+});
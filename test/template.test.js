@@ -0,0 +1,81 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createWindow, attach, type } = require('./helpers');
+
+// Option texts that look like markup
+const page = `
+  <select name="s" multiple>
+    <option value="bold" selected>&lt;b&gt;bold&lt;/b&gt;</option>
+    <option value="image" data-description="&lt;img src=x&gt;">&lt;img src=x onerror=alert(1)&gt;</option>
+  </select>
+`;
+
+test('a template that returns a node renders options and chips', () => {
+  const contexts = [];
+  const window = createWindow(page);
+  const element = window.FancySelect.attach(window.document.querySelector('select'), {
+    multipleDisplay: 'chips',
+    template: (option, context) => {
+      contexts.push(context.type);
+      const span = window.document.createElement('span');
+      span.className = 'custom';
+      span.textContent = `${option.index}: ${option.value}${option.selected ? ' (selected)' : ''}`;
+      return span;
+    },
+  }).getElement();
+  const options = element.querySelectorAll('li[role="option"]');
+  assert.equal(options[0].querySelector('.custom').textContent, '0: bold (selected)');
+  assert.equal(options[1].querySelector('.custom').textContent, '1: image');
+  assert.ok(contexts.indexOf('option') > -1);
+  assert.ok(contexts.indexOf('chip') > -1);
+  assert.equal(element.querySelector('.fs-chip .custom').textContent, '0: bold (selected)');
+});
+
+test('a template that returns a string shows it as text, and one that returns nothing leaves the default', () => {
+  const { item, element } = attach(page, {
+    search: true,
+    template: (option, context) => (option.index === 0 ? `<i>${option.value}</i> ${context.query}` : null),
+  });
+  const options = element.querySelectorAll('li[role="option"]');
+  assert.equal(options[0].textContent, '<i>bold</i> ');
+  assert.equal(options[0].querySelector('i'), null);
+  assert.equal(options[1].querySelector('.fs-option-text').textContent, '<img src=x onerror=alert(1)>');
+
+  // The template gets the search query
+  item.open();
+  type(element.querySelector('.fs-search'), 'BO');
+  assert.equal(options[0].textContent, '<i>bold</i> bo');
+});
+
+test('option texts and descriptions with markup are shown as text', () => {
+  const { element } = attach(page, { search: true });
+  const options = element.querySelectorAll('li[role="option"]');
+  assert.equal(options[0].textContent, '<b>bold</b>');
+  assert.equal(options[1].querySelector('.fs-option-description').textContent, '<img src=x>');
+  assert.equal(element.querySelector('.fs-options b, .fs-options img'), null);
+
+  type(element.querySelector('.fs-search'), 'bold');
+  assert.equal(options[0].querySelector('mark').textContent, 'bold');
+  assert.equal(options[0].querySelector('b'), null);
+});
+
+test('renderToString escapes option texts and template strings', () => {
+  const window = createWindow('');
+  const data = { name: 's', options: ['bold', 'image'], texts: ['<b>bold</b>', '<img src=x onerror=alert(1)>'], selected: 0 };
+  const parse = (html) => {
+    const div = window.document.createElement('div');
+    div.innerHTML = html;
+    return div;
+  };
+
+  const plainRender = parse(window.FancySelect.renderToString(data));
+  assert.equal(plainRender.querySelector('b, img'), null);
+  assert.equal(plainRender.querySelectorAll('li[role="option"]')[1].textContent, '<img src=x onerror=alert(1)>');
+  assert.equal(plainRender.querySelector('.fs-placeholder').textContent, '<b>bold</b>');
+
+  const templated = parse(window.FancySelect.renderToString(data, { template: option => `<u>${option.text}</u>` }));
+  assert.equal(templated.querySelector('u, b, img'), null);
+  assert.equal(templated.querySelectorAll('li[role="option"]')[0].textContent, '<u><b>bold</b></u>');
+});
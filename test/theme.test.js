@@ -0,0 +1,84 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { createWindow, attach, options } = require('./helpers');
+
+const css = fs.readFileSync(path.join(__dirname, '..', 'fancy-select.css'), 'utf8');
+
+const theme = element => element.getAttribute('data-fs-theme');
+
+test('elements use the auto theme unless they are given one', () => {
+  const { window, element } = attach(`<select name="s">${options}</select>`);
+  assert.equal(window.FancySelect.getTheme(), 'auto');
+  assert.equal(theme(element), 'auto');
+
+  const own = attach(`<select name="s">${options}</select>`, { theme: 'light' });
+  assert.equal(own.item.getTheme(), 'light');
+  assert.equal(theme(own.element), 'light');
+  assert.throws(() => attach(`<select name="s">${options}</select>`, { theme: 'nothing' }), /Unknown theme "nothing"/);
+});
+
+test('an element switches its own theme at runtime', () => {
+  const window = createWindow(`<select name="a">${options}</select><select name="b">${options}</select>`);
+  const [a, b] = window.FancySelect.attachAll('select');
+  window.FancySelect.registerTheme('brand', { background: 'navy' }, 'dark');
+
+  a.setTheme('brand');
+  assert.equal(theme(a.getElement()), 'dark brand');
+  assert.equal(theme(b.getElement()), 'auto');
+
+  // No theme of its own is the global theme
+  a.setTheme(null);
+  assert.equal(theme(a.getElement()), 'auto');
+  assert.throws(() => a.setTheme('nothing'), /Unknown theme "nothing"/);
+});
+
+test('the global theme switches every element without a theme of its own', () => {
+  const window = createWindow(`<select name="a">${options}</select><select name="b">${options}</select>`);
+  const [a, b] = window.FancySelect.attachAll('select');
+  b.setTheme('high-contrast');
+
+  window.FancySelect.setTheme('light');
+  assert.equal(window.FancySelect.getTheme(), 'light');
+  assert.equal(theme(a.getElement()), 'light');
+  assert.equal(theme(b.getElement()), 'high-contrast');
+
+  // Elements attached later use it too
+  const select = window.document.createElement('select');
+  select.innerHTML = options;
+  window.document.body.appendChild(select);
+  assert.equal(theme(window.FancySelect.attach(select).getElement()), 'light');
+
+  // Themes based on another list both
+  window.FancySelect.registerTheme('brand', { background: 'navy' }, 'light');
+  window.FancySelect.setTheme('brand');
+  assert.equal(theme(a.getElement()), 'light brand');
+  assert.throws(() => window.FancySelect.setTheme('nothing'), /Unknown theme "nothing"/);
+});
+
+test('the auto theme follows the color scheme, unless the container picks one', () => {
+  const window = createWindow(`
+    <div class="fs-select-container light"><select name="a">${options}</select></div>
+    <div class="fs-select-container dark"><select name="b">${options}</select></div>
+  `);
+  const style = window.document.createElement('style');
+  style.textContent = css;
+  window.document.head.appendChild(style);
+  const [a, b] = window.FancySelect.attachAll('select');
+  const background = item => window.getComputedStyle(item.getElement()).getPropertyValue('--fs-background');
+
+  assert.equal(background(a), '#F3F3F3');
+  assert.equal(background(b), '#202020');
+
+  // jsdom doesn't match media queries, so the rules of the light color scheme are looked up instead
+  const rule = Array.from(style.sheet.cssRules).filter(r => r.media && r.media.mediaText === '(prefers-color-scheme: light)')[0];
+  const auto = Array.from(rule.cssRules).filter(r => r.selectorText === '.fs-select[data-fs-theme~="auto"]')[0];
+  assert.equal(auto.style.getPropertyValue('--fs-background').trim(), '#F3F3F3');
+
+  // The container only picks for the auto theme
+  b.setTheme('light');
+  assert.equal(background(b), '#F3F3F3');
+});
@@ -0,0 +1,131 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createWindow, attach, click, plain, options } = require('./helpers');
+
+test('getValue returns the selected value, or all of them in multiple mode', () => {
+  assert.equal(attach(`<select name="s">${options}</select>`).item.getValue(), 'banana');
+  assert.equal(attach('<select name="s"></select>').item.getValue(), null);
+
+  const { item } = attach(`<select name="s" multiple>${options}</select>`);
+  assert.deepEqual(plain(item.getValue()), ['banana']);
+  item.toggle(2);
+  assert.deepEqual(plain(item.getValue()), ['banana', 'date']);
+});
+
+test('setValue selects by value and updates the element and its <select> element', () => {
+  const { window, item, select, element } = attach(`<select name="s">${options}</select>`);
+  const changes = [];
+  select.addEventListener('change', () => changes.push(select.value));
+
+  assert.equal(item.setValue('date'), 'date');
+  assert.equal(item.getSelectedIndex(), 2);
+  assert.equal(select.value, 'date');
+  assert.deepEqual(changes, ['date']);
+  assert.equal(element.querySelector('.fs-placeholder').textContent, 'Date');
+  assert.throws(() => item.setValue('cherry'), window.RangeError);
+  assert.equal(item.getValue(), 'date');
+});
+
+test('setValue replaces the selection in multiple mode', () => {
+  const { item, select } = attach(`<select name="s" multiple>${options}</select>`);
+  assert.deepEqual(plain(item.setValue(['date', 'apple'])), ['apple', 'date']);
+  assert.deepEqual(Array.from(select.selectedOptions).map(o => o.value), ['apple', 'date']);
+  assert.deepEqual(plain(item.setValue([])), []);
+  assert.equal(select.selectedOptions.length, 0);
+});
+
+test('select also updates the element and its <select> element', () => {
+  const { item, select, element } = attach(`<select name="s">${options}</select>`);
+  item.select(0);
+  assert.equal(select.value, 'apple');
+  assert.equal(element.querySelector('.fs-placeholder').textContent, 'Apple');
+});
+
+test('clicking one of several options with the same value selects that option', () => {
+  const { item, select, element } = attach(`<select name="s">
+    <option value="x">First</option>
+    <option value="y" selected>Other</option>
+    <option value="x">Second</option>
+  </select>`);
+  click(element);
+  click(element.querySelector('li[data-index="2"]'));
+  assert.equal(item.getSelectedIndex(), 2);
+  assert.equal(select.selectedIndex, 2);
+  assert.equal(element.querySelector('.fs-placeholder').textContent, 'Second');
+});
+
+test('setOptions replaces the options and keeps the selected value', () => {
+  const { item, select, element } = attach(`<select name="s">${options}</select>`);
+  item.setOptions([{ value: 'banana', text: 'Banana' }, { value: 'cherry', text: 'Cherry', disabled: true }, { value: 'fig' }]);
+
+  assert.deepEqual(plain(item.getOptions()), ['banana', 'cherry', 'fig']);
+  assert.deepEqual(Array.from(select.options).map(o => o.text), ['Banana', 'Cherry', 'fig']);
+  assert.deepEqual(Array.from(element.querySelectorAll('li[role="option"]')).map(li => li.textContent), ['Banana', 'Cherry', 'fig']);
+  assert.equal(item.isOptionDisabled(1), true);
+  assert.equal(item.getValue(), 'banana');
+
+  item.setOptions([{ value: 'kiwi', text: 'Kiwi' }]);
+  assert.equal(item.getValue(), 'kiwi');
+  assert.equal(element.querySelector('.fs-placeholder').textContent, 'Kiwi');
+});
+
+test('setOptions keeps the options selected when the page loaded, so that a form reset restores them', async () => {
+  const { window, item, select } = attach(`<form><select name="s">${options}</select></form>`);
+  item.setValue('date');
+  item.setOptions([{ value: 'apple' }, { value: 'banana' }, { value: 'date' }, { value: 'fig' }]);
+  assert.equal(item.getValue(), 'date');
+  assert.deepEqual(Array.from(select.options).map(o => o.defaultSelected), [false, true, false, false]);
+
+  window.document.querySelector('form').reset();
+  await new Promise(resolve => setTimeout(resolve, 10));
+  assert.equal(select.value, 'banana');
+  assert.equal(item.getValue(), 'banana');
+});
+
+test('toJSON and fromJSON save and restore the values of all elements', () => {
+  const window = createWindow(`
+    <select name="fruit">${options}</select>
+    <select name="tags" multiple><option value="a">A</option><option value="b">B</option><option value="c" disabled>C</option></select>
+  `);
+  const FancySelect = window.FancySelect;
+  const [fruit, tags] = FancySelect.attachAll('select');
+
+  assert.deepEqual(plain(FancySelect.toJSON()), { fruit: 'banana', tags: [] });
+  assert.equal(JSON.stringify(FancySelect), '{"fruit":"banana","tags":[]}');
+
+  // Unknown and disabled values are ignored
+  FancySelect.fromJSON('{"fruit":"date","tags":["b","c","z"],"other":"x"}');
+  assert.equal(fruit.getValue(), 'date');
+  assert.deepEqual(plain(tags.getValue()), ['b']);
+
+  FancySelect.fromJSON({ fruit: 'cherry' });
+  assert.equal(fruit.getValue(), 'date');
+});
+
+test('the url persist option mirrors the selection into the query string', () => {
+  const window = createWindow(`<select name="fruit">${options}</select><select name="tags" multiple>${options}</select>`,
+    'http://localhost/filters?fruit=date&page=2#results');
+  const [fruit, tags] = window.FancySelect.attachAll('select', { persist: 'url' });
+
+  assert.equal(fruit.getValue(), 'date');
+  assert.equal(window.document.querySelector('select').value, 'date');
+  assert.deepEqual(plain(tags.getValue()), ['banana']);
+
+  fruit.setValue('apple');
+  tags.setValue(['apple', 'date']);
+  assert.equal(window.location.href, 'http://localhost/filters?fruit=apple&page=2&tags=apple&tags=date#results');
+});
+
+test('the localStorage persist option restores the selection on the next load', () => {
+  const first = attach(`<select name="fruit">${options}</select>`, { persist: 'localStorage' });
+  first.item.setValue('date');
+  const saved = first.window.localStorage.getItem('fancy-select');
+  assert.deepEqual(JSON.parse(saved), { fruit: 'date' });
+
+  const window = createWindow(`<select name="fruit">${options}</select>`);
+  window.localStorage.setItem('filters', saved);
+  const item = window.FancySelect.attach(window.document.querySelector('select'), { persist: 'localStorage', persistKey: 'filters' });
+  assert.equal(item.getValue(), 'date');
+});
@@ -0,0 +1,60 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { attach, keydown, type, keys } = require('./helpers');
+
+const options = Array.from({ length: 200 }, (v, j) => `<option value="o${j}">Option ${j}</option>`).join('');
+
+const rendered = element => Array.from(element.querySelectorAll('li[role="option"]'));
+
+test('long lists render only the options in view and a few around them', () => {
+  const { element } = attach(`<select name="s">${options}</select>`, { virtualItemHeight: 30, virtualize: 100 });
+  const list = element.querySelector('.fs-options-list');
+  assert.equal(list.classList.contains('fs-virtual'), true);
+  // 10 rows in view and 5 below them
+  assert.equal(rendered(element).length, 15);
+  assert.equal(list.style.maxHeight, '300px');
+  const spacers = list.querySelectorAll('.fs-spacer');
+  assert.equal(spacers[spacers.length - 1].style.height, (185 * 30) + 'px');
+
+  const short = attach(`<select name="s">${options}</select>`, { virtualize: 500 }).element;
+  assert.equal(rendered(short).length, 200);
+  assert.equal(short.querySelector('.fs-options-list').classList.contains('fs-virtual'), false);
+});
+
+test('rendered options tell their position among all options and among the matching ones', () => {
+  const { item, element } = attach(`<select name="s">${options}</select>`, { virtualItemHeight: 30, virtualize: true, search: true });
+  const first = rendered(element)[0];
+  assert.equal(first.getAttribute('aria-posinset'), '1');
+  assert.equal(first.getAttribute('aria-setsize'), '200');
+
+  item.open();
+  type(element.querySelector('.fs-search'), 'Option 1');
+  // Option 1, 10 to 19 and 100 to 199
+  const matches = rendered(element);
+  assert.equal(matches[1].textContent, 'Option 10');
+  assert.equal(matches[1].getAttribute('aria-posinset'), '2');
+  assert.equal(matches[1].getAttribute('aria-setsize'), '111');
+});
+
+test('the keyboard reaches options outside the rendered ones', () => {
+  const { item, select, element } = attach(`<select name="s">${options}</select>`, { virtualItemHeight: 30, virtualize: true });
+  element.focus();
+  keydown(element, keys.down);
+  keydown(element, keys.end);
+  const active = element.querySelector(`#${element.getAttribute('aria-activedescendant')}`);
+  assert.equal(active.getAttribute('data-index'), '199');
+  assert.equal(active.getAttribute('aria-posinset'), '200');
+
+  keydown(element, keys.up);
+  assert.equal(element.querySelector(`#${element.getAttribute('aria-activedescendant')}`).getAttribute('data-index'), '198');
+  keydown(element, keys.enter);
+  assert.equal(item.getValue(), 'o198');
+  assert.equal(select.value, 'o198');
+
+  // Home goes back to the first rendered options
+  keydown(element, keys.down);
+  keydown(element, keys.home);
+  assert.equal(element.querySelector(`#${element.getAttribute('aria-activedescendant')}`).getAttribute('data-index'), '0');
+});